@@ -21,7 +21,23 @@ var _Raven = window.Raven,
         tags: {},
         extra: {}
     },
-    authQueryString;
+    authQueryString,
+    offlineRetryTimer,
+    offlineRetryAttempts = 0,
+    lastEventSignature,
+    suppressedEvents = 0,
+    sentTimestamps = [],
+    pendingRequests = [],
+    pageUnloading = false,
+    batchedEvents = [],
+    batchTimer,
+    breadcrumbs = [],
+    wrappedBuiltIns = [],
+    lastHref,
+    scopeStack = [],
+    currentSession,
+    eventProcessors = [],
+    sourceMaps = {};
 
 /*
  * The core Raven singleton
@@ -63,6 +79,14 @@ var Raven = {
             });
         }
 
+        // Which deploy of the app we're in can come from the page itself,
+        // so the same bundle can report correctly everywhere
+        each(['release', 'environment', 'dist'], function(i, key) {
+            if (isUndefined(globalOptions[key])) {
+                globalOptions[key] = detectBuildInfo(key);
+            }
+        });
+
         // "Script error." is hard coded into browsers for errors that it can't read.
         // this is the result of a script being pulled in from an external domain and CORS.
         globalOptions.ignoreErrors.push('Script error.');
@@ -86,7 +110,8 @@ var Raven = {
             globalServer = uri.protocol + ':' + globalServer;
         }
 
-        if (globalOptions.fetchContext) {
+        // Source maps are looked up through the same loader as context
+        if (globalOptions.fetchContext || globalOptions.sourceMaps) {
             TraceKit.remoteFetching = true;
         }
 
@@ -94,6 +119,10 @@ var Raven = {
             TraceKit.linesOfContext = globalOptions.linesOfContext;
         }
 
+        if (globalOptions.fetchTimeout) {
+            TraceKit.remoteFetchTimeout = globalOptions.fetchTimeout;
+        }
+
         TraceKit.collectWindowErrors = !!globalOptions.collectWindowErrors;
 
         setAuthQueryString();
@@ -113,6 +142,35 @@ var Raven = {
     install: function() {
         if (isSetup()) {
             TraceKit.report.subscribe(handleStackInfo);
+
+            if (globalOptions.offlineQueue) {
+                addEventHandler(window, 'online', flushOfflineQueue);
+                // Anything left over from a previous page gets another shot
+                flushOfflineQueue();
+            }
+
+            if (globalOptions.autoBreadcrumbs !== false && !wrappedBuiltIns.length) {
+                instrumentBreadcrumbs();
+            }
+
+            if (globalOptions.captureUnhandledRejections !== false) {
+                addEventHandler(window, 'unhandledrejection', handleUnhandledRejection);
+            }
+
+            if (globalOptions.flushOnUnload !== false) {
+                addEventHandler(window, 'pagehide', handlePageHide);
+                // Old IE doesn't know about pagehide
+                addEventHandler(window, 'unload', handlePageHide);
+                addEventHandler(window, 'pageshow', handlePageShow);
+                addEventHandler(document, 'visibilitychange', handleVisibilityChange);
+            }
+
+            if (globalOptions.trackSessions && !currentSession) {
+                addEventHandler(window, 'pagehide', handleSessionUnload);
+                addEventHandler(window, 'unload', handleSessionUnload);
+                addEventHandler(window, 'pageshow', handleSessionPageShow);
+                startSession();
+            }
         }
 
         return Raven;
@@ -167,20 +225,33 @@ var Raven = {
             return func;
         }
 
+        // Remember the scopes we were wrapped in, since we're likely
+        // to be called long after they've been popped
+        var scopes = scopeStack.slice(0);
+
         function wrapped() {
             var args = [], i = arguments.length,
-                deep = !options || options && options.deep !== false;
+                deep = !options || options && options.deep !== false,
+                previousScopes = scopeStack,
+                layered = layerScopes(previousScopes, scopes);
+
+            scopeStack = layered;
+
             // Recursively wrap all of a function's arguments that are
             // functions themselves.
-
             while(i--) args[i] = deep ? Raven.wrap(options, arguments[i]) : arguments[i];
 
+            // Our own options act as the innermost scope while we run
+            scopeStack = options ? layered.concat([options]) : layered;
+
             try {
                 /*jshint -W040*/
                 return func.apply(this, args);
             } catch(e) {
                 Raven.captureException(e, options);
                 throw e;
+            } finally {
+                scopeStack = previousScopes;
             }
         }
 
@@ -199,6 +270,34 @@ var Raven = {
         return wrapped;
     },
 
+    /*
+     * Run a function within a new scope. Everything captured while it runs,
+     * including within nested `context` and `wrap` calls, inherits the
+     * scope's `tags`, `extra`, `user` and `level`.
+     *
+     * @param {object} options The initial `tags`, `extra`, `user` and `level` [optional]
+     * @param {function} func The callback to be executed within the scope,
+     *                        which is passed the scope object to modify
+     * @return The return value of func
+     */
+    withScope: function(options, func) {
+        if (isFunction(options)) {
+            func = options;
+            options = undefined;
+        }
+
+        var scope = objectMerge({}, options),
+            previousScopes = scopeStack;
+
+        scopeStack = scopeStack.concat([scope]);
+
+        try {
+            return func(scope);
+        } finally {
+            scopeStack = previousScopes;
+        }
+    },
+
     /*
      * Uninstalls the global error handler.
      *
@@ -206,6 +305,27 @@ var Raven = {
      */
     uninstall: function() {
         TraceKit.report.uninstall();
+        removeEventHandler(window, 'unhandledrejection', handleUnhandledRejection);
+
+        removeEventHandler(window, 'online', flushOfflineQueue);
+        clearTimeout(offlineRetryTimer);
+        offlineRetryTimer = undefined;
+
+        removeEventHandler(window, 'pagehide', handlePageHide);
+        removeEventHandler(window, 'unload', handlePageHide);
+        removeEventHandler(window, 'pageshow', handlePageShow);
+        removeEventHandler(document, 'visibilitychange', handleVisibilityChange);
+
+        removeEventHandler(document, 'click', handleClickBreadcrumb, true);
+        removeEventHandler(document, 'keypress', handleKeypressBreadcrumb, true);
+        removeEventHandler(window, 'popstate', handlePopstateBreadcrumb);
+        restoreBuiltIns();
+
+        removeEventHandler(window, 'pagehide', handleSessionUnload);
+        removeEventHandler(window, 'unload', handleSessionUnload);
+        removeEventHandler(window, 'pageshow', handleSessionPageShow);
+        // The page is still there, so this isn't left for the next one to end
+        endSession();
 
         return Raven;
     },
@@ -224,6 +344,17 @@ var Raven = {
         // Store the raw exception object for potential debugging and introspection
         lastCapturedException = ex;
 
+        // TraceKit hands the exception back to us asynchronously, by when
+        // the current scopes may be long gone
+        options = applyScopes(options);
+
+        // Whatever caused this exception goes along with it
+        var causes = getCauses(ex);
+        if (causes.length) {
+            options = objectMerge({}, options);
+            options.causes = causes;
+        }
+
         // TraceKit.report will re-raise any exception passed to it,
         // which means you have to wrap it in try/catch. Instead, we
         // can wrap it here and only re-raise if TraceKit.report
@@ -252,7 +383,7 @@ var Raven = {
         send(
             objectMerge({
                 message: msg
-            }, options)
+            }, applyScopes(options))
         );
 
         return Raven;
@@ -270,6 +401,137 @@ var Raven = {
        return Raven;
     },
 
+    /*
+     * Merge tags into the global tags sent along with every event.
+     *
+     * @param {object} tags An object of tags to add
+     * @return {Raven}
+     */
+    setTagsContext: function(tags) {
+        globalOptions.tags = objectMerge(objectMerge({}, globalOptions.tags), tags);
+
+        return Raven;
+    },
+
+    /*
+     * Merge data into the global extra sent along with every event.
+     *
+     * @param {object} extra An object of extra data to add
+     * @return {Raven}
+     */
+    setExtraContext: function(extra) {
+        globalOptions.extra = objectMerge(objectMerge({}, globalOptions.extra), extra);
+
+        return Raven;
+    },
+
+    /*
+     * Get a copy of the current global tags, extra and user.
+     *
+     * @return {object}
+     */
+    getContext: function() {
+        return {
+            tags: objectMerge({}, globalOptions.tags),
+            extra: objectMerge({}, globalOptions.extra),
+            user: globalUser && objectMerge({}, globalUser)
+        };
+    },
+
+    /*
+     * Clear the global tags, extra and user.
+     *
+     * @return {Raven}
+     */
+    clearContext: function() {
+        globalOptions.tags = {};
+        globalOptions.extra = {};
+        globalUser = undefined;
+
+        return Raven;
+    },
+
+    /*
+     * Replace the parts of a message that tend to change between otherwise
+     * identical errors, like ids, numbers and urls, with placeholders.
+     *
+     * @param {string} message The message to normalize
+     * @return {string}
+     */
+    normalizeMessage: function(message) {
+        return ('' + message)
+            .replace(/\b[a-z][a-z0-9+.\-]*:\/\/[^\s'"<>]+/gi, '<url>')
+            .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>')
+            .replace(/\b0x[0-9a-f]+\b/gi, '<number>')
+            .replace(/\b\d+(\.\d+)?/g, '<number>');
+    },
+
+    /*
+     * A ready made `fingerprintCallback` grouping events by their type and
+     * normalized message, instead of the message as is.
+     *
+     * @param {object} data The event payload
+     * @return {array}
+     */
+    normalizedMessageFingerprint: function(data) {
+        var exception = primaryException(data);
+        return [
+            exception.type || 'message',
+            Raven.normalizeMessage(exception.value || data.message || '')
+        ];
+    },
+
+    /*
+     * Record a step the user took, to be sent along with the next event.
+     *
+     * @param {object} crumb An object with a `message` and optionally a
+     *                       `category`, `level` and `data`
+     * @return {Raven}
+     */
+    captureBreadcrumb: function(crumb) {
+        crumb = objectMerge({
+            timestamp: new Date().getTime() / 1000
+        }, crumb);
+
+        breadcrumbs.push(crumb);
+        if (breadcrumbs.length > (globalOptions.maxBreadcrumbs || 100)) {
+            breadcrumbs.shift();
+        }
+
+        return Raven;
+    },
+
+    /*
+     * Register a function to run on every event before it's sent, after
+     * `dataCallback`. Processors run in the order they were added, each
+     * getting the event the previous one returned. Return the event,
+     * `null` to drop it, or a promise resolving to either.
+     *
+     * @param {function} processor The processor, called with the event
+     * @return {Raven}
+     */
+    addEventProcessor: function(processor) {
+        if (isFunction(processor)) eventProcessors.push(processor);
+
+        return Raven;
+    },
+
+    /*
+     * Register the source map for a script, to map its frames back to the
+     * original sources. Works without the `sourceMaps` option.
+     *
+     * @param {string} url The url of the generated script
+     * @param {object|string} map The source map, or its JSON
+     * @param {string} mapUrl Where the map lives, to resolve its sources
+     *                        against [optional]
+     * @return {Raven}
+     */
+    addSourceMap: function(url, map, mapUrl) {
+        sourceMaps[url] = parseSourceMap(map, mapUrl || url);
+
+        return Raven;
+    },
+
     /*
      * Get the latest raw exception that was captured by Raven.
      *
@@ -286,9 +548,84 @@ var Raven = {
      */
     lastEventId: function() {
         return lastEventId;
+    },
+
+    /*
+     * Get the events that failed to send and are waiting to be retried.
+     *
+     * @return {array}
+     */
+    getOfflineQueue: function() {
+        var queue = loadOfflineQueue(), events = [];
+        each(queue, function(i, item) {
+            events.push(item.data);
+        });
+        return events;
+    },
+
+    /*
+     * Retry sending all queued events right away.
+     *
+     * @return {Raven}
+     */
+    flushOfflineQueue: function() {
+        flushOfflineQueue();
+
+        return Raven;
+    },
+
+    /*
+     * The built in transports, selectable by name through the
+     * `transport` option.
+     */
+    transports: {
+        image: imageTransport,
+        xhr: xhrTransport,
+        beacon: beaconTransport
     }
 };
 
+/*
+ * Put the scopes a function was wrapped in on top of the ones active
+ * where it's called, leaving out those that are both
+ */
+function layerScopes(active, captured) {
+    var layered = active.slice(0);
+
+    each(captured, function(i, scope) {
+        for (var j = 0; j < active.length; j++) {
+            if (active[j] === scope) return;
+        }
+        layered.push(scope);
+    });
+    return layered;
+}
+
+/*
+ * Fold the active scopes into an event's options. Inner scopes win over
+ * outer ones, and the event's own options win over all of them.
+ */
+function applyScopes(options) {
+    if (!scopeStack.length) return options;
+
+    var tags = {}, extra = {}, user, level;
+
+    each(scopeStack, function(i, scope) {
+        objectMerge(tags, scope.tags);
+        objectMerge(extra, scope.extra);
+        user = scope.user || user;
+        level = scope.level || level;
+    });
+
+    options = objectMerge({}, options);
+    if (!isEmptyObject(tags)) options.tags = objectMerge(tags, options.tags);
+    if (!isEmptyObject(extra)) options.extra = objectMerge(extra, options.extra);
+    if (user && !options.user) options.user = user;
+    if (level && !options.level) options.level = level;
+
+    return options;
+}
+
 function triggerEvent(eventType, options) {
     var event, key;
 
@@ -360,6 +697,10 @@ function isString(what) {
     return typeof what === 'string';
 }
 
+function isArray(what) {
+    return Object.prototype.toString.call(what) === '[object Array]';
+}
+
 function isEmptyObject(what) {
     for (var k in what) return false;
     return true;
@@ -405,22 +746,107 @@ function setAuthQueryString() {
 
 
 function handleStackInfo(stackInfo, options) {
-    var frames = [];
+    // Only errors nobody caught count against the session, including
+    // those that were reported by `wrap` before being rethrown
+    if (currentSession && stackInfo.isWindowError) {
+        markSessionErrored();
+    }
 
-    if (stackInfo.stack && stackInfo.stack.length) {
-        each(stackInfo.stack, function(i, stack) {
-            var frame = normalizeFrame(stack);
-            if (frame) {
-                frames.push(frame);
-            }
+    // Sources are fetched in the background, so the event has to wait for them
+    if (TraceKit.remoteFetching) {
+        fetchStackSources(stackInfo, options && options.causes, function() {
+            processStackInfo(stackInfo, options);
         });
+    } else {
+        processStackInfo(stackInfo, options);
+    }
+}
+
+/*
+ * Report a promise rejection nobody handled. Errors go through TraceKit like
+ * any other exception, anything else is serialized into the message.
+ */
+function handleUnhandledRejection(event) {
+    var reason = event.reason,
+        mechanism = {type: 'onunhandledrejection', handled: false},
+        value, message;
+
+    // Promise libraries that fire the event themselves keep the reason in detail
+    if (isUndefined(reason) && event.detail) reason = event.detail.reason;
+
+    if (currentSession) markSessionErrored();
+
+    if (Object.prototype.toString.call(reason) === '[object Error]' || reason instanceof Error) {
+        Raven.captureException(reason, {mechanism: mechanism});
+        return;
     }
 
+    value = normalizeValue(reason);
+    message = 'Non-Error promise rejection captured with value: ' +
+        (isString(value) ? value : JSON.stringify(value));
+
+    if (globalOptions.ignoreErrors.test(message)) return;
+
+    send(
+        objectMerge({
+            exception: {
+                type: 'UnhandledRejection',
+                value: message,
+                mechanism: mechanism
+            },
+            message: message
+        }, applyScopes())
+    );
+}
+
+/*
+ * Fetch the sources of every frame, and the source maps they point to,
+ * giving up on whatever isn't in by the time `fetchTimeout` runs out
+ */
+function fetchStackSources(stackInfo, causes, callback) {
+    // Frames are filled in where they are, so one stack can stand in for all
+    var stack = stackInfo.stack || [];
+    each(causes || [], function(i, cause) {
+        stack = stack.concat(cause.stack || []);
+    });
+
+    TraceKit.computeStackTrace.augmentStackTraceWithSources({stack: stack}, function() {
+        var mapUrls = [];
+
+        if (globalOptions.sourceMaps) {
+            each(stack, function(i, frame) {
+                var mapUrl = getSourceMappingURL(frame.url);
+                if (mapUrl && !/^data:/.test(mapUrl) && !hasKey(sourceMaps, frame.url)) {
+                    mapUrls.push(mapUrl);
+                }
+            });
+        }
+
+        TraceKit.computeStackTrace.fetchSources(mapUrls, callback);
+    });
+}
+
+function processStackInfo(stackInfo, options) {
+    var frames = normalizeFrames(stackInfo),
+        causes = [];
+
     triggerEvent('handle', {
         stackInfo: stackInfo,
         options: options
     });
 
+    if (options && options.causes) {
+        each(options.causes, function(i, cause) {
+            var causeFrames = normalizeFrames(cause),
+                exception = {type: cause.name, value: cause.message};
+
+            if (causeFrames.length) exception.stacktrace = buildStacktrace(causeFrames);
+            causes.push(exception);
+        });
+        options = objectMerge({}, options);
+        options.causes = causes;
+    }
+
     processException(
         stackInfo.name,
         stackInfo.message,
@@ -431,6 +857,103 @@ function handleStackInfo(stackInfo, options) {
     );
 }
 
+function normalizeFrames(stackInfo) {
+    var frames = [];
+
+    if (stackInfo.stack && stackInfo.stack.length) {
+        each(stackInfo.stack, function(i, stack) {
+            var frame = normalizeFrame(stack);
+            if (frame) {
+                frames.push(frame);
+            }
+        });
+    }
+
+    return resolveSourceMaps(frames);
+}
+
+/*
+ * Turn frames into a stacktrace, collapsing recursion and keeping no more
+ * than `maxFrames` of them
+ */
+function buildStacktrace(frames) {
+    var maxFrames = globalOptions.maxFrames || 50,
+        collapsed = [],
+        counts = [],
+        stacktrace = {frames: collapsed},
+        head;
+
+    // Sentry expects frames oldest to newest
+    // and JS sends them as newest to oldest
+    each(frames.slice(0).reverse(), function(i, frame) {
+        var last = collapsed.length - 1;
+        if (last >= 0 && isSameFrame(collapsed[last], frame)) {
+            counts[last]++;
+        } else {
+            collapsed.push(frame);
+            counts.push(1);
+        }
+    });
+
+    each(collapsed, function(i, frame) {
+        if (counts[i] > 1) {
+            collapsed[i] = objectMerge({}, frame);
+            collapsed[i].repeated = counts[i];
+        }
+    });
+
+    // Keep both ends of the stack, where the error happened and where
+    // it all started, and leave out the middle
+    if (collapsed.length > maxFrames) {
+        head = Math.floor(maxFrames / 2);
+        stacktrace.frames = collapsed.slice(0, head).concat(collapsed.slice(collapsed.length - (maxFrames - head)));
+        stacktrace.frames_omitted = [head, collapsed.length - (maxFrames - head)];
+    }
+
+    return stacktrace;
+}
+
+function isSameFrame(a, b) {
+    return a.filename === b.filename &&
+        a.lineno === b.lineno &&
+        a.colno === b.colno &&
+        a['function'] === b['function'];
+}
+
+/*
+ * Walk the chain of errors that led to an exception, through `cause` and
+ * the keys in `causeKeys`. Stack traces come back root cause first.
+ */
+function getCauses(ex) {
+    var keys = ['cause'].concat(globalOptions.causeKeys || []),
+        maxDepth = isUndefined(globalOptions.maxCauseDepth) ? 5 : globalOptions.maxCauseDepth,
+        seen = [ex],
+        causes = [],
+        cause, i;
+
+    while (ex && typeof ex === 'object' && causes.length < maxDepth) {
+        cause = undefined;
+        for (i = 0; i < keys.length && !cause; i++) {
+            if (ex[keys[i]] && typeof ex[keys[i]] === 'object') cause = ex[keys[i]];
+        }
+
+        for (i = 0; i < seen.length && cause; i++) {
+            if (seen[i] === cause) cause = undefined;
+        }
+        if (!cause) break;
+
+        try {
+            causes.unshift(TraceKit.computeStackTrace(cause));
+        } catch (e) {
+            break;
+        }
+        seen.push(cause);
+        ex = cause;
+    }
+
+    return causes;
+}
+
 function normalizeFrame(frame) {
     if (!frame.url) return;
 
@@ -499,50 +1022,282 @@ function extractContextFromFrame(frame) {
     ];
 }
 
-function processException(type, message, fileurl, lineno, frames, options) {
-    var stacktrace, label, i;
+var base64Chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
 
-    // Sometimes an exception is getting logged in Sentry as
-    // <no message value>
-    // This can only mean that the message was falsey since this value
-    // is hardcoded into Sentry itself.
-    // At this point, if the message is falsey, we bail since it's useless
-    if (type === 'Error' && !message) return;
+/*
+ * Map frames of generated scripts back to their original sources, for
+ * every script we have a source map for. Frames are newest first.
+ */
+function resolveSourceMaps(frames) {
+    var positions = [], result = [];
 
-    if (globalOptions.ignoreErrors.test(message)) return;
+    each(frames, function(i, frame) {
+        var map = getSourceMap(frame.filename);
+        positions[i] = map && frame.lineno && frame.colno ?
+            lookupSourceMap(map, frame.lineno, frame.colno) : null;
+    });
 
-    if (frames && frames.length) {
-        fileurl = frames[0].filename || fileurl;
-        // Sentry expects frames oldest to newest
-        // and JS sends them as newest to oldest
-        frames.reverse();
-        stacktrace = {frames: frames};
-    } else if (fileurl) {
-        stacktrace = {
-            frames: [{
-                filename: fileurl,
-                lineno: lineno,
-                in_app: true
-            }]
-        };
-    }
+    each(frames, function(i, frame) {
+        var position = positions[i],
+            // The name mapped at the caller's position is what this frame's
+            // function was called as, where our own position names the callee
+            caller = positions[i + 1],
+            lines, pivot;
+
+        if (!position) return result.push(frame);
+
+        frame = objectMerge({}, frame);
+        frame.filename = position.source;
+        frame.lineno = position.line;
+        frame.colno = position.column;
+        if (caller && caller.name) frame['function'] = caller.name;
+
+        // Context of the generated script means nothing next to the original
+        delete frame.pre_context;
+        delete frame.context_line;
+        delete frame.post_context;
+
+        if (globalOptions.fetchContext && isString(position.content)) {
+            lines = position.content.split('\n');
+            pivot = position.line - 1;
+            frame.pre_context = lines.slice(Math.max(0, pivot - 3), pivot);
+            frame.context_line = lines[pivot];
+            frame.post_context = lines.slice(pivot + 1, pivot + 4);
+        }
 
-    // Truncate the message to a max of characters
-    message = truncate(message, 100);
+        result.push(frame);
+    });
 
-    if (globalOptions.ignoreUrls && globalOptions.ignoreUrls.test(fileurl)) return;
-    if (globalOptions.whitelistUrls && !globalOptions.whitelistUrls.test(fileurl)) return;
+    return result;
+}
+
+/*
+ * Find the source map of a script, either registered up front or through
+ * the `//# sourceMappingURL` comment at the end of it
+ */
+function getSourceMap(url) {
+    var mapUrl, source;
+
+    if (hasKey(sourceMaps, url)) return sourceMaps[url];
+    if (!globalOptions.sourceMaps || !isString(url)) return null;
+
+    // Sources that aren't in yet may still come in for the next event
+    if (!TraceKit.computeStackTrace.getSource(url).length) return null;
+
+    // Only ever try once per script
+    sourceMaps[url] = null;
+
+    mapUrl = getSourceMappingURL(url);
+    if (!mapUrl) return null;
+
+    try {
+        if (/^data:/.test(mapUrl)) {
+            source = mapUrl.substr(mapUrl.indexOf(',') + 1);
+            source = /;base64,/.test(mapUrl) ? window.atob(source) : decodeURIComponent(source);
+            mapUrl = url;
+        } else {
+            source = TraceKit.computeStackTrace.getSource(mapUrl).join('\n');
+        }
+        sourceMaps[url] = parseSourceMap(source, mapUrl);
+    } catch (e) {
+        // Not a source map we can read
+    }
+
+    return sourceMaps[url];
+}
+
+/*
+ * The url of a script's source map, from the comment at the end of it
+ */
+function getSourceMappingURL(url) {
+    var source = TraceKit.computeStackTrace.getSource(url),
+        i = source.length, match;
+
+    while (i-- && !match) {
+        match = /\/\/[#@]\s*sourceMappingURL=(\S+)/.exec(source[i]);
+    }
+    if (!match) return;
+
+    return (/^data:/).test(match[1]) ? match[1] : resolveUrl(match[1], url);
+}
+
+function parseSourceMap(map, mapUrl) {
+    var sourceRoot, sources = [];
+
+    if (isString(map)) {
+        // Maps may be guarded against XSSI with a )]}' prefix
+        map = JSON.parse(map.replace(/^\)\]\}'[^\n]*\n/, ''));
+    }
+    if (!map || !isString(map.mappings)) return null;
+
+    sourceRoot = map.sourceRoot ? map.sourceRoot.replace(/\/?$/, '/') : '';
+    each(map.sources || [], function(i, source) {
+        sources.push(resolveUrl(sourceRoot + source, mapUrl));
+    });
+
+    return {
+        sources: sources,
+        sourcesContent: map.sourcesContent || [],
+        names: map.names || [],
+        lines: decodeMappings(map.mappings)
+    };
+}
+
+/*
+ * Decode the base64 VLQ mappings into a list of segments per line, each
+ * [column, source, original line, original column, name] with absolute
+ * values, and -1 for a missing name
+ */
+function decodeMappings(mappings) {
+    var lines = [],
+        source = 0, line = 0, column = 0, name = 0;
+
+    each(mappings.split(';'), function(i, group) {
+        var segments = [], generated = 0;
+
+        each(group ? group.split(',') : [], function(j, segment) {
+            var values = decodeVLQ(segment);
+
+            generated += values[0];
+            if (values.length < 4) return;
+
+            source += values[1];
+            line += values[2];
+            column += values[3];
+            if (values.length > 4) name += values[4];
+
+            segments.push([generated, source, line, column, values.length > 4 ? name : -1]);
+        });
+
+        lines.push(segments);
+    });
+
+    return lines;
+}
+
+function decodeVLQ(str) {
+    var values = [], value = 0, shift = 0, digit, i;
+
+    for (i = 0; i < str.length; i++) {
+        digit = base64Chars.indexOf(str.charAt(i));
+        value += (digit & 31) << shift;
+
+        if (digit & 32) {
+            shift += 5;
+        } else {
+            // The lowest bit holds the sign
+            values.push(value & 1 ? -(value >> 1) : value >> 1);
+            value = shift = 0;
+        }
+    }
+
+    return values;
+}
+
+/*
+ * Look up the original position of a 1-based line and column
+ */
+function lookupSourceMap(map, line, column) {
+    var segments = map.lines[line - 1] || [],
+        segment, i;
+
+    for (i = 0; i < segments.length && segments[i][0] <= column - 1; i++) {
+        segment = segments[i];
+    }
+    if (!segment || !map.sources[segment[1]]) return null;
+
+    return {
+        source: map.sources[segment[1]],
+        line: segment[2] + 1,
+        column: segment[3] + 1,
+        name: segment[4] === -1 ? undefined : map.names[segment[4]],
+        content: map.sourcesContent[segment[1]]
+    };
+}
+
+function resolveUrl(url, base) {
+    var parts;
+
+    // Already absolute
+    if (/^([a-z][a-z0-9+.\-]*:|\/\/)/i.test(url) || !isString(base)) return url;
+
+    if (url.charAt(0) === '/') {
+        return (/^([a-z][a-z0-9+.\-]*:)?\/\/[^\/]*/i.exec(base) || [''])[0] + url;
+    }
+
+    parts = base.replace(/[?#].*$/, '').split('/');
+    parts.pop();
+    each(url.split('/'), function(i, part) {
+        if (part === '..') {
+            // Never climb above the host
+            if (parts.length > 3) parts.pop();
+        } else if (part !== '.') {
+            parts.push(part);
+        }
+    });
+
+    return parts.join('/');
+}
+
+function processException(type, message, fileurl, lineno, frames, options) {
+    var causes = options && options.causes,
+        mechanism = options && options.mechanism,
+        exception, stacktrace, label, i;
+
+    // Sometimes an exception is getting logged in Sentry as
+    // <no message value>
+    // This can only mean that the message was falsey since this value
+    // is hardcoded into Sentry itself.
+    // At this point, if the message is falsey, we bail since it's useless
+    if (type === 'Error' && !message) return;
+
+    if (globalOptions.ignoreErrors.test(message)) return;
+
+    if (frames && frames.length) {
+        fileurl = frames[0].filename || fileurl;
+        stacktrace = buildStacktrace(frames);
+    } else if (fileurl) {
+        stacktrace = {
+            frames: [{
+                filename: fileurl,
+                lineno: lineno,
+                in_app: true
+            }]
+        };
+    }
+
+    if (globalOptions.ignoreUrls && globalOptions.ignoreUrls.test(fileurl)) return;
+    if (globalOptions.whitelistUrls && !globalOptions.whitelistUrls.test(fileurl)) return;
 
     label = lineno ? message + ' at ' + lineno : message;
 
+    exception = {
+        type: type,
+        value: message
+    };
+
+    // How the exception was caught belongs to the exception itself
+    if (mechanism) exception.mechanism = mechanism;
+
+    if (causes || mechanism) {
+        options = objectMerge({}, options);
+        delete options.causes;
+        delete options.mechanism;
+    }
+
+    // A chain of exceptions is sent as a list, root cause first,
+    // each of them with a stacktrace of its own
+    if (causes && causes.length) {
+        if (stacktrace) exception.stacktrace = stacktrace;
+        exception = {values: causes.concat([exception])};
+        stacktrace = undefined;
+    }
+
     // Fire away!
     send(
         objectMerge({
             // sentry.interfaces.Exception
-            exception: {
-                type: type,
-                value: message
-            },
+            exception: exception,
             // sentry.interfaces.Stacktrace
             stacktrace: stacktrace,
             culprit: fileurl,
@@ -565,6 +1320,24 @@ function truncate(str, max) {
     return str.length <= max ? str : str.substr(0, max) + '\u2026';
 }
 
+/*
+ * Look for a build identifier like `release` on the RavenConfig global,
+ * or in a `<meta name="raven-release" content="...">` tag
+ */
+function detectBuildInfo(key) {
+    var RavenConfig = window.RavenConfig,
+        metas = document.getElementsByTagName('meta'),
+        i = metas.length;
+
+    if (RavenConfig && !isUndefined(RavenConfig[key])) return RavenConfig[key];
+
+    while (i--) {
+        if (metas[i].getAttribute('name') === 'raven-' + key) {
+            return metas[i].getAttribute('content');
+        }
+    }
+}
+
 function getHttpData() {
     var http = {
         url: document.location.href,
@@ -580,66 +1353,1506 @@ function getHttpData() {
     return http;
 }
 
-function send(data) {
-    if (!isSetup()) return;
+function isBreadcrumbEnabled(category) {
+    var auto = globalOptions.autoBreadcrumbs;
+    return auto !== false && (!auto || typeof auto !== 'object' || auto[category] !== false);
+}
 
-    data = objectMerge({
-        project: globalProject,
-        logger: globalOptions.logger,
-        site: globalOptions.site,
-        platform: 'javascript',
-        // sentry.interfaces.Http
-        request: getHttpData()
-    }, data);
+function instrumentBreadcrumbs() {
+    var xhrproto = window.XMLHttpRequest && XMLHttpRequest.prototype;
 
-    // Merge in the tags and extra separately since objectMerge doesn't handle a deep merge
-    data.tags = objectMerge(globalOptions.tags, data.tags);
-    data.extra = objectMerge(globalOptions.extra, data.extra);
+    if (isBreadcrumbEnabled('dom')) {
+        // Listen during capture, so we still see events that get stopped
+        addEventHandler(document, 'click', handleClickBreadcrumb, true);
+        addEventHandler(document, 'keypress', handleKeypressBreadcrumb, true);
+    }
 
-    // If there are no tags/extra, strip the key from the payload alltogther.
-    if (isEmptyObject(data.tags)) delete data.tags;
-    if (isEmptyObject(data.extra)) delete data.extra;
+    if (isBreadcrumbEnabled('xhr') && xhrproto) {
+        fill(xhrproto, 'open', function(origOpen) {
+            return function(method, url) {
+                // Don't record our own requests to Sentry, or TraceKit's
+                // fetching sources and source maps
+                if (isString(url) && url.indexOf(globalServer) === -1 && !this.__tracekit__) {
+                    this.__raven_xhr__ = {
+                        method: method,
+                        url: url,
+                        status_code: null
+                    };
+                }
+                return origOpen.apply(this, arguments);
+            };
+        });
 
-    if (globalUser) {
-        // sentry.interfaces.User
-        data.user = globalUser;
+        fill(xhrproto, 'send', function(origSend) {
+            return function() {
+                var xhr = this,
+                    origHandler;
+
+                function onreadystatechange() {
+                    if (xhr.__raven_xhr__ && xhr.readyState === 4) {
+                        try {
+                            // Touching status can throw in IE when the request was aborted
+                            xhr.__raven_xhr__.status_code = xhr.status;
+                        } catch(e) {}
+
+                        Raven.captureBreadcrumb({
+                            type: 'http',
+                            category: 'xhr',
+                            data: xhr.__raven_xhr__
+                        });
+                        xhr.__raven_xhr__ = undefined;
+                    }
+                }
+
+                // A listener survives onreadystatechange being assigned
+                // after send(), only old IE needs the handler swapped
+                if (xhr.addEventListener) {
+                    xhr.addEventListener('readystatechange', onreadystatechange, false);
+                } else {
+                    origHandler = xhr.onreadystatechange;
+                    xhr.onreadystatechange = function() {
+                        onreadystatechange();
+                        if (isFunction(origHandler)) {
+                            return origHandler.apply(this, arguments);
+                        }
+                    };
+                }
+                return origSend.apply(this, arguments);
+            };
+        });
     }
 
-    if (isFunction(globalOptions.dataCallback)) {
-        data = globalOptions.dataCallback(data);
+    if (isBreadcrumbEnabled('location') && window.history && history.pushState) {
+        lastHref = document.location.href;
+
+        addEventHandler(window, 'popstate', handlePopstateBreadcrumb);
+
+        fill(history, 'pushState', function(origPushState) {
+            return function(state, title, url) {
+                var result = origPushState.apply(this, arguments);
+                // pushState resolves relative urls for us, so read it back from location
+                if (url) captureNavigationBreadcrumb(document.location.href);
+                return result;
+            };
+        });
     }
 
-    // Check if the request should be filtered or not
-    if (isFunction(globalOptions.shouldSendCallback) && !globalOptions.shouldSendCallback(data)) {
-        return;
+    if (isBreadcrumbEnabled('console') && window.console) {
+        each(['debug', 'info', 'log', 'warn', 'error'], function(i, level) {
+            if (!isFunction(console[level]) && typeof console[level] !== 'object') return;
+
+            fill(console, level, function(origConsole) {
+                return function() {
+                    var args = [].slice.call(arguments);
+
+                    Raven.captureBreadcrumb({
+                        category: 'console',
+                        level: level === 'warn' ? 'warning' : level,
+                        message: args.join(' ')
+                    });
+
+                    // IE9 doesn't give console methods an apply
+                    if (origConsole && origConsole.apply) {
+                        return origConsole.apply(console, args);
+                    } else if (origConsole) {
+                        Function.prototype.apply.call(origConsole, console, args);
+                    }
+                };
+            });
+        });
     }
+}
 
-    // Send along an event_id if not explicitly passed.
-    // This event_id can be used to reference the error within Sentry itself.
-    // Set lastEventId after we know the error should actually be sent
-    lastEventId = data.event_id || (data.event_id = uuid4());
+function handleClickBreadcrumb(evt) {
+    Raven.captureBreadcrumb({
+        category: 'ui.click',
+        message: htmlTreeAsString(evt.target || evt.srcElement)
+    });
+}
 
-    makeRequest(data);
+var keypressTarget, keypressTimeout;
+
+function handleKeypressBreadcrumb(evt) {
+    var target = evt.target || evt.srcElement,
+        tagName = target && target.tagName;
+
+    if (!tagName || !(tagName === 'INPUT' || tagName === 'TEXTAREA' || target.isContentEditable)) return;
+
+    // Only record the first keypress of a burst of typing into the same
+    // element, and never what was typed
+    if (target !== keypressTarget) {
+        keypressTarget = target;
+        Raven.captureBreadcrumb({
+            category: 'ui.input',
+            message: htmlTreeAsString(target)
+        });
+    }
+
+    clearTimeout(keypressTimeout);
+    keypressTimeout = setTimeout(function() {
+        keypressTarget = undefined;
+    }, 1000);
 }
 
+function handlePopstateBreadcrumb() {
+    captureNavigationBreadcrumb(document.location.href);
+}
 
-function makeRequest(data) {
-    var img = new Image(),
-        src = globalServer + authQueryString + '&sentry_data=' + encodeURIComponent(JSON.stringify(data));
+function captureNavigationBreadcrumb(to) {
+    var from = lastHref;
+    lastHref = to;
+
+    Raven.captureBreadcrumb({
+        category: 'navigation',
+        data: {
+            from: from,
+            to: to
+        }
+    });
+}
+
+/*
+ * Describe an element and a few of its ancestors as a CSS selector like
+ * string, e.g. `div#app > form.login > input[name="email"]`
+ */
+function htmlTreeAsString(elem) {
+    var maxDepth = 5,
+        maxLength = 80,
+        separator = ' > ',
+        out = [],
+        depth = 0,
+        length = 0,
+        nextStr;
+
+    while (elem && elem.nodeType === 1 && depth++ < maxDepth) {
+        nextStr = htmlElementAsString(elem);
+        // Stop at <html>, or before the output gets too long to be readable.
+        // The element itself is always included, no matter how long.
+        if (nextStr === 'html' ||
+            depth > 1 && length + out.length * separator.length + nextStr.length >= maxLength) {
+            break;
+        }
+
+        out.push(nextStr);
+        length += nextStr.length;
+        elem = elem.parentNode;
+    }
+
+    return out.reverse().join(separator);
+}
+
+function htmlElementAsString(elem) {
+    var out = [elem.tagName.toLowerCase()],
+        className = elem.className,
+        attrs = ['type', 'name', 'title', 'alt'],
+        attr, i;
+
+    if (elem.id) out.push('#' + elem.id);
+
+    // SVG elements have an SVGAnimatedString for a className
+    if (isString(className) && className) {
+        out.push('.' + className.split(/\s+/).join('.'));
+    }
+
+    for (i = 0; i < attrs.length; i++) {
+        attr = elem.getAttribute && elem.getAttribute(attrs[i]);
+        if (attr) out.push('[' + attrs[i] + '="' + attr + '"]');
+    }
+
+    return out.join('');
+}
+
+/*
+ * Replace a built in with a wrapped version of itself, and remember
+ * the original so uninstall() can put it back
+ */
+function fill(obj, name, replacement) {
+    var orig = obj[name];
+    obj[name] = replacement(orig);
+    wrappedBuiltIns.push([obj, name, orig]);
+}
+
+function restoreBuiltIns() {
+    var builtin;
+    while (wrappedBuiltIns.length) {
+        builtin = wrappedBuiltIns.pop();
+        builtin[0][builtin[1]] = builtin[2];
+    }
+}
+
+function isContextEnabled(name) {
+    var collect = globalOptions.collectContexts;
+    return !!collect && (typeof collect !== 'object' || collect[name] !== false);
+}
+
+/*
+ * Describe the browser and device, for everything that's switched on
+ * in `collectContexts`
+ */
+function getContexts() {
+    var contexts = {},
+        docElement = document.documentElement,
+        connection = navigator.connection || navigator.mozConnection || navigator.webkitConnection,
+        offset, timezone;
+
+    function set(context, key, value) {
+        if (isUndefined(value) || value === null) return;
+        (contexts[context] = contexts[context] || {})[key] = value;
+    }
+
+    if (isContextEnabled('screen') && window.screen) {
+        set('device', 'screen_resolution', screen.width + 'x' + screen.height);
+    }
+
+    if (isContextEnabled('devicePixelRatio')) {
+        set('device', 'screen_density', window.devicePixelRatio);
+    }
+
+    if (isContextEnabled('online') && !isUndefined(navigator.onLine)) {
+        set('device', 'online', navigator.onLine);
+    }
 
-    img.onload = function success() {
-        triggerEvent('success', {
-            data: data,
-            src: src
+    if (isContextEnabled('connection') && connection) {
+        set('device', 'connection_type', connection.effectiveType || connection.type);
+    }
+
+    if (isContextEnabled('viewport')) {
+        set('browser', 'viewport',
+            (window.innerWidth || docElement.clientWidth) + 'x' +
+            (window.innerHeight || docElement.clientHeight));
+    }
+
+    if (isContextEnabled('visibility')) {
+        set('browser', 'visibility_state', document.visibilityState);
+    }
+
+    if (isContextEnabled('language')) {
+        set('culture', 'locale', navigator.language || navigator.userLanguage);
+    }
+
+    if (isContextEnabled('timezone')) {
+        // getTimezoneOffset() is the wrong way around, UTC+2 gives us -120
+        offset = -new Date().getTimezoneOffset();
+        set('culture', 'timezone_offset', offset);
+
+        try {
+            timezone = window.Intl.DateTimeFormat().resolvedOptions().timeZone;
+        } catch(e) {}
+        set('culture', 'timezone', timezone);
+    }
+
+    return contexts;
+}
+
+/*
+ * The exception that was captured along with its stacktrace, out of
+ * a chain of them or on its own
+ */
+function primaryException(data) {
+    var exception = data.exception || {},
+        values = exception.values;
+
+    if (values && values.length) return values[values.length - 1];
+
+    return {type: exception.type, value: exception.value, stacktrace: data.stacktrace};
+}
+
+/*
+ * Copy every stacktrace of an event, of a single exception or a chain of
+ * them, and hand the copies to the callback to change. The event itself
+ * has to be a copy already.
+ */
+function eachStacktrace(data, callback) {
+    var values = data.exception && data.exception.values;
+
+    if (data.stacktrace) {
+        data.stacktrace = objectMerge({}, data.stacktrace);
+        callback(data.stacktrace, 'stacktrace');
+    }
+
+    if (values) {
+        data.exception = objectMerge({}, data.exception);
+        data.exception.values = values = values.slice(0);
+        each(values, function(i, value) {
+            if (!value.stacktrace) return;
+            values[i] = value = objectMerge({}, value);
+            value.stacktrace = objectMerge({}, value.stacktrace);
+            callback(value.stacktrace, 'exception.values.' + i + '.stacktrace');
         });
-    };
-    img.onerror = img.onabort = function failure() {
-        triggerEvent('failure', {
-            data: data,
-            src: src
+    }
+}
+
+function normalizeFingerprint(fingerprint) {
+    var result = [];
+
+    // Sentry wants a list of strings
+    each(isArray(fingerprint) ? fingerprint : [fingerprint], function(i, part) {
+        result.push('' + part);
+    });
+    return result;
+}
+
+/*
+ * Cut messages and other short values down to the configured lengths.
+ * The whole message is kept in extra, for as long as the payload has
+ * room for it.
+ */
+function limitLengths(data) {
+    var maxMessage = globalOptions.maxMessageLength || 1000,
+        maxValue = globalOptions.maxValueLength || 250,
+        exception = data.exception,
+        crumbs = data.breadcrumbs && data.breadcrumbs.values,
+        full;
+
+    data = objectMerge({}, data);
+
+    function limitException(exception, captured) {
+        if (!isString(exception.value) || exception.value.length <= maxMessage) return exception;
+
+        // Causes are cut short just the same, but only the message of
+        // the exception that was captured is kept in full
+        if (captured) full = exception.value;
+        exception = objectMerge({}, exception);
+        exception.value = truncate(exception.value, maxMessage);
+        return exception;
+    }
+
+    if (exception && exception.values) {
+        data.exception = {values: []};
+        each(exception.values, function(i, value) {
+            // The one that was captured comes last in a chain
+            data.exception.values.push(limitException(value, i === exception.values.length - 1));
         });
-    };
-    img.src = src;
+    } else if (exception) {
+        data.exception = limitException(exception, true);
+    }
+
+    if (isString(data.message) && data.message.length > maxMessage) {
+        full = full || data.message;
+        data.message = truncate(data.message, maxMessage);
+    }
+
+    if (isString(data.culprit)) data.culprit = truncate(data.culprit, maxValue);
+
+    if (data.tags) {
+        data.tags = objectMerge({}, data.tags);
+        each(data.tags, function(key, value) {
+            if (isString(value)) data.tags[key] = truncate(value, maxValue);
+        });
+    }
+
+    if (crumbs) {
+        data.breadcrumbs = {values: []};
+        each(crumbs, function(i, crumb) {
+            if (isString(crumb.message) && crumb.message.length > maxValue) {
+                crumb = objectMerge({}, crumb);
+                crumb.message = truncate(crumb.message, maxValue);
+            }
+            data.breadcrumbs.values.push(crumb);
+        });
+    }
+
+    if (full) {
+        data.extra = objectMerge({}, data.extra);
+        data.extra['raven:full_message'] = full;
+    }
+
+    return data;
+}
+
+/*
+ * Turn anything into something JSON.stringify can handle without throwing
+ * or blowing up the payload: cycles, DOM nodes and the like become readable
+ * placeholders, and deep or wide structures get cut off.
+ */
+function normalizeValue(value, depth, ancestors) {
+    var maxDepth = isUndefined(globalOptions.normalizeDepth) ? 3 : globalOptions.normalizeDepth,
+        maxBreadth = globalOptions.normalizeBreadth || 100,
+        maxLength = globalOptions.maxStringLength || 1024,
+        type = Object.prototype.toString.call(value),
+        result, key, count = 0, i;
+
+    depth = depth || 0;
+    ancestors = ancestors || [];
+
+    if (isString(value)) return truncate(value, maxLength);
+    if (isUndefined(value)) return '[undefined]';
+    if (typeof value === 'number' && !isFinite(value)) return '[' + value + ']';
+    if (isFunction(value)) return '[Function: ' + (value.name || '<anonymous>') + ']';
+    if (!value || typeof value !== 'object') return value;
+
+    if (value === window) return '[Window]';
+    if (value.nodeType === 9) return '[Document]';
+    if (value.nodeType === 1 && value.tagName) return '[HTMLElement: ' + htmlElementAsString(value) + ']';
+    if (value.nodeType) return '[' + (value.nodeName || 'Node') + ']';
+    if (type === '[object Date]') {
+        return isNaN(value.getTime()) ? '[Invalid Date]' : toISOString(value.getTime());
+    }
+    if (type === '[object RegExp]') return '' + value;
+    if (type === '[object Error]' || value instanceof Error) {
+        return truncate('[' + (value.name || 'Error') + ': ' + value.message + ']', maxLength);
+    }
+
+    for (i = 0; i < ancestors.length; i++) {
+        if (ancestors[i] === value) return '[Circular]';
+    }
+
+    if (depth >= maxDepth) return isArray(value) ? '[Array]' : '[Object]';
+
+    ancestors = ancestors.concat([value]);
+
+    if (isArray(value)) {
+        result = [];
+        for (i = 0; i < value.length && i < maxBreadth; i++) {
+            result.push(normalizeValue(value[i], depth + 1, ancestors));
+        }
+        if (value.length > maxBreadth) {
+            result.push('[' + (value.length - maxBreadth) + ' more items]');
+        }
+        return result;
+    }
+
+    result = {};
+    for (key in value) {
+        if (!hasKey(value, key)) continue;
+        if (count++ >= maxBreadth) {
+            result['...'] = '[more keys]';
+            break;
+        }
+        try {
+            result[key] = normalizeValue(value[key], depth + 1, ancestors);
+        } catch (e) {
+            // Getters may throw
+            result[key] = '[Unreadable]';
+        }
+    }
+    return result;
+}
+
+var extensionUrlPattern = /^(chrome|moz|safari|safari-web)-extension:\/\//,
+    crawlerPattern = new RegExp([
+        'googlebot', 'adsbot-google', 'mediapartners-google', 'bingbot', 'slurp', 'duckduckbot',
+        'baiduspider', 'yandexbot', 'applebot', 'twitterbot', 'facebookexternalhit',
+        'ahrefsbot', 'semrushbot', 'petalbot', '\\bcrawler\\b', '\\bspider\\b'
+    ].join('|'), 'i'),
+    // Errors thrown by browsers, toolbars and ad scripts that nobody can do anything about
+    benignMessagePattern = joinRegExp([
+        'top.GLOBALS',
+        'originalCreateNotification',
+        'canvas.contentDocument',
+        'MyApp_RemoveAllHighlights',
+        'atomicFindClose',
+        'fb_xd_fixed',
+        'bmi_SafeAddOnload',
+        'EBCallBackMessageReceived',
+        'conduitPage',
+        'ResizeObserver loop limit exceeded',
+        'ResizeObserver loop completed with undelivered notifications',
+        'Non-Error promise rejection captured with value: Object Not Found Matching Id'
+    ]);
+
+function isNoiseFilterEnabled(category) {
+    var filter = (globalOptions.defaultIntegrations || {}).noiseFilter;
+    return !!filter && (typeof filter !== 'object' || filter[category] !== false);
+}
+
+/*
+ * Whether an event is caused by something other than the app itself,
+ * for everything that's switched on in `defaultIntegrations.noiseFilter`
+ */
+function isNoise(data) {
+    var exception = primaryException(data),
+        frames = exception.stacktrace && exception.stacktrace.frames,
+        headers = data.request && data.request.headers,
+        fromExtension = !!(frames && frames.length),
+        message = exception.value || data.message;
+
+    if (isNoiseFilterEnabled('extensions')) {
+        each(frames || [], function(i, frame) {
+            if (!extensionUrlPattern.test(frame.filename)) fromExtension = false;
+        });
+        if (fromExtension) return true;
+    }
+
+    if (isNoiseFilterEnabled('crawlers') && headers && crawlerPattern.test(headers['User-Agent'])) {
+        return true;
+    }
+
+    return isNoiseFilterEnabled('messages') && isString(message) && benignMessagePattern.test(message);
+}
+
+var defaultScrubFields = [
+        'password', 'passwd', 'secret', 'token', 'api_key', 'apikey',
+        'authorization', 'credentials', 'session', 'email',
+        'credit_card', 'card_number', 'cardnumber', 'cc_number', 'cvv', 'ssn'
+    ],
+    filteredValue = '[Filtered]',
+    // 13 to 19 digits, optionally grouped by spaces or dashes
+    cardNumberPattern = /\b\d(?:[ \-]?\d){12,18}\b/g;
+
+/*
+ * Mask everything that looks sensitive before it leaves the browser,
+ * recording where we did so in extra. Nothing is changed in place, since
+ * parts of the payload are shared with global state.
+ */
+function scrubData(data) {
+    var fields = globalOptions.scrubFields || defaultScrubFields,
+        // An empty RegExp would match every key there is
+        pattern = fields.length ? joinRegExp(fields) : /$^/,
+        filtered = [],
+        request = data.request,
+        crumbs = data.breadcrumbs && data.breadcrumbs.values;
+
+    function scrubUrl(url, path) {
+        if (!isString(url)) return url;
+
+        return url.replace(/([?&#;])([^=&#;]+)=([^&#;]*)/g, function(match, separator, key, value) {
+            var name;
+            try {
+                name = decodeURIComponent(key);
+            } catch(e) {
+                name = key;
+            }
+
+            if (pattern.test(name)) {
+                filtered.push(path + '?' + name);
+                return separator + key + '=' + filteredValue;
+            }
+            return separator + key + '=' + scrubString(value, path + '?' + name);
+        });
+    }
+
+    function scrubString(value, path) {
+        return value.replace(cardNumberPattern, function(match) {
+            if (!isCardNumber(match)) return match;
+            filtered.push(path);
+            return filteredValue;
+        });
+    }
+
+    function scrubValue(value, path, depth) {
+        var result;
+
+        if (isString(value)) return scrubString(value, path);
+        if (!value || typeof value !== 'object' || depth > 10) return value;
+
+        result = isArray(value) ? [] : {};
+        each(value, function(key, item) {
+            var itemPath = path + '.' + key;
+            if (pattern.test(key) && !isArray(value)) {
+                filtered.push(itemPath);
+                result[key] = filteredValue;
+            } else {
+                result[key] = scrubValue(item, itemPath, depth + 1);
+            }
+        });
+        return result;
+    }
+
+    data = objectMerge({}, data);
+
+    each(['extra', 'tags', 'user'], function(i, key) {
+        if (data[key]) data[key] = scrubValue(data[key], key, 0);
+    });
+
+    if (request) {
+        data.request = request = objectMerge({}, request);
+        request.url = scrubUrl(request.url, 'request.url');
+
+        if (request.headers) {
+            request.headers = scrubValue(request.headers, 'request.headers', 0);
+            request.headers.Referer = scrubUrl(request.headers.Referer, 'request.headers.Referer');
+            if (isUndefined(request.headers.Referer)) delete request.headers.Referer;
+        }
+    }
+
+    data.culprit = scrubUrl(data.culprit, 'culprit');
+    if (isUndefined(data.culprit)) delete data.culprit;
+
+    eachStacktrace(data, function(stacktrace, path) {
+        if (!stacktrace.frames) return;
+        stacktrace.frames = stacktrace.frames.slice(0);
+        each(stacktrace.frames, function(i, frame) {
+            stacktrace.frames[i] = frame = objectMerge({}, frame);
+            frame.filename = scrubUrl(frame.filename, path + '.frames.' + i + '.filename');
+        });
+    });
+
+    if (crumbs) {
+        data.breadcrumbs = {values: []};
+        each(crumbs, function(i, crumb) {
+            var crumbData = crumb.data, path = 'breadcrumbs.' + i;
+            crumb = objectMerge({}, crumb);
+            if (crumbData) {
+                crumb.data = crumbData = objectMerge({}, crumbData);
+                each(['url', 'from', 'to'], function(j, key) {
+                    if (crumbData[key]) crumbData[key] = scrubUrl(crumbData[key], path + '.data.' + key);
+                });
+            }
+            data.breadcrumbs.values.push(crumb);
+        });
+    }
+
+    if (filtered.length) {
+        data.extra = objectMerge({}, data.extra);
+        data.extra['raven:filtered'] = filtered;
+    }
+
+    return data;
+}
+
+// http://en.wikipedia.org/wiki/Luhn_algorithm
+function isCardNumber(str) {
+    var digits = str.replace(/\D/g, ''),
+        sum = 0, i = digits.length, digit, even = false;
+
+    while (i--) {
+        digit = +digits.charAt(i);
+        if (even && (digit *= 2) > 9) digit -= 9;
+        sum += digit;
+        even = !even;
+    }
+    return sum % 10 === 0;
+}
+
+function send(data) {
+    if (!isSetup()) return;
+
+    data = objectMerge({
+        project: globalProject,
+        logger: globalOptions.logger,
+        site: globalOptions.site,
+        platform: 'javascript',
+        // sentry.interfaces.Http
+        request: getHttpData()
+    }, data);
+
+    each(['release', 'environment', 'dist'], function(i, key) {
+        if (globalOptions[key] && isUndefined(data[key])) data[key] = globalOptions[key];
+    });
+
+    if (globalOptions.defaultIntegrations && isNoise(data)) return;
+
+    if (globalOptions.collectContexts) {
+        var contexts = getContexts();
+        // Contexts passed along with the event win
+        each(data.contexts || {}, function(key, value) {
+            contexts[key] = objectMerge(contexts[key] || {}, value);
+        });
+        if (!isEmptyObject(contexts)) data.contexts = contexts;
+    }
+
+    // A per event sampleRate takes precedence over the global one
+    var sampleRate = isUndefined(data.sampleRate) ? globalOptions.sampleRate : data.sampleRate;
+    delete data.sampleRate;
+
+    if (!isUndefined(sampleRate) && Math.random() >= sampleRate) return;
+
+    // Merge in the tags and extra separately since objectMerge doesn't handle a deep merge.
+    // Merge into fresh objects, so one event's data never ends up in another.
+    data.tags = objectMerge(objectMerge({}, globalOptions.tags), data.tags);
+    data.extra = objectMerge(objectMerge({}, globalOptions.extra), data.extra);
+
+    // Whatever was put into extra has to survive being serialized
+    if (!isEmptyObject(data.extra)) data.extra = normalizeValue(data.extra);
+
+    // If there are no tags/extra, strip the key from the payload alltogther.
+    if (isEmptyObject(data.tags)) delete data.tags;
+    if (isEmptyObject(data.extra)) delete data.extra;
+
+    if (globalUser && !data.user) {
+        // sentry.interfaces.User
+        data.user = globalUser;
+    }
+
+    if (breadcrumbs.length) {
+        // sentry.interfaces.Breadcrumbs
+        data.breadcrumbs = {values: breadcrumbs.slice(0)};
+    }
+
+    // A fingerprint passed along with the event wins over the callback
+    if (!data.fingerprint && isFunction(globalOptions.fingerprintCallback)) {
+        data.fingerprint = globalOptions.fingerprintCallback(data);
+    }
+    if (data.fingerprint) {
+        data.fingerprint = normalizeFingerprint(data.fingerprint);
+    } else {
+        delete data.fingerprint;
+    }
+
+    if (isFunction(globalOptions.dataCallback)) {
+        data = globalOptions.dataCallback(data);
+    }
+
+    if (!data) return;
+
+    // Processors may take their time, but the id has to be known right away
+    var eventId = data.event_id || uuid4(),
+        processing = true;
+    data.event_id = eventId;
+
+    runEventProcessors(data, function(data) {
+        processing = false;
+        if (!data) return;
+
+        // A processor may have handed back an event of its own
+        if (!data.event_id) data.event_id = eventId;
+        dispatch(data, sampleRate);
+    });
+
+    // Still waiting on a processor, so lastEventId can't wait to see
+    // whether the event is actually sent
+    if (processing) lastEventId = eventId;
+}
+
+/*
+ * Pass the event through every processor in turn. The callback is called
+ * right away, unless one of them hands back a promise.
+ */
+function runEventProcessors(data, callback) {
+    var processors = eventProcessors.slice(0),
+        timeout = globalOptions.eventProcessorTimeout || 3000;
+
+    function next(i, data) {
+        var result, settled = false, timer;
+
+        // Dropped, or made it through all of them
+        if (data === null || data === false || i >= processors.length) {
+            return callback(data || null);
+        }
+
+        // A processor that can't make up its mind shouldn't lose the event
+        function settle(result) {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            next(i + 1, isUndefined(result) ? data : result);
+        }
+
+        try {
+            result = processors[i](data);
+        } catch (e) {
+            return settle();
+        }
+
+        if (result && isFunction(result.then)) {
+            timer = setTimeout(function() { settle(); }, timeout);
+            result.then(settle, function() { settle(); });
+        } else {
+            settle(result);
+        }
+    }
+
+    next(0, data);
+}
+
+function dispatch(data, sampleRate) {
+    if (globalOptions.scrubData) {
+        data = scrubData(data);
+    }
+
+    data = limitLengths(data);
+
+    // Check if the request should be filtered or not
+    if (isFunction(globalOptions.shouldSendCallback) && !globalOptions.shouldSendCallback(data)) {
+        return;
+    }
+
+    if (isThrottled(data)) return;
+
+    // Let Sentry know about everything we've been holding back since the last event
+    if (suppressedEvents) {
+        data.extra = objectMerge({}, data.extra);
+        data.extra['raven:suppressed'] = suppressedEvents;
+        suppressedEvents = 0;
+    }
+
+    // Record the rate this event was sampled at, so the real number of
+    // events can be extrapolated on the server
+    if (!isUndefined(sampleRate)) {
+        data.extra = objectMerge({}, data.extra);
+        data.extra['raven:sample_rate'] = sampleRate;
+    }
+
+    // Send along an event_id if not explicitly passed.
+    // This event_id can be used to reference the error within Sentry itself.
+    // Set lastEventId after we know the error should actually be sent
+    lastEventId = data.event_id || (data.event_id = uuid4());
+
+    data = trimPayload(data);
+
+    if (globalOptions.batchEvents) {
+        queueBatchedEvent(data);
+    } else {
+        makeRequest(data);
+    }
+}
+
+function queueBatchedEvent(data) {
+    batchedEvents.push(data);
+
+    // Don't hold on to anything once the page is going away
+    if (pageUnloading || batchedEvents.length >= (globalOptions.batchSize || 10)) {
+        flushBatchedEvents();
+    } else if (!batchTimer) {
+        batchTimer = setTimeout(flushBatchedEvents, globalOptions.batchDelay || 1000);
+    }
+}
+
+function flushBatchedEvents() {
+    var events = batchedEvents;
+
+    clearTimeout(batchTimer);
+    batchTimer = undefined;
+
+    if (!events.length) return;
+
+    batchedEvents = [];
+    makeRequest(events);
+}
+
+function isThrottled(data) {
+    var signature = eventSignature(data),
+        now, limitWindow;
+
+    if (globalOptions.suppressDuplicates && signature === lastEventSignature) {
+        suppressedEvents++;
+        return true;
+    }
+
+    if (globalOptions.rateLimit) {
+        now = new Date().getTime();
+        limitWindow = globalOptions.rateLimitWindow || 60000;
+
+        while (sentTimestamps.length && now - sentTimestamps[0] >= limitWindow) {
+            sentTimestamps.shift();
+        }
+        if (sentTimestamps.length >= globalOptions.rateLimit) {
+            suppressedEvents++;
+            return true;
+        }
+        sentTimestamps.push(now);
+    }
+
+    // Only events that actually go out count as the previous event, so a
+    // duplicate of a rate limited event still makes it once there's room again
+    lastEventSignature = signature;
+    return false;
+}
+
+function eventSignature(data) {
+    var exception = primaryException(data),
+        frames = exception.stacktrace && exception.stacktrace.frames,
+        // Frames are ordered oldest to newest by now
+        frame = frames && frames[frames.length - 1] || {};
+
+    return [
+        exception.type,
+        exception.value || data.message,
+        frame.filename,
+        frame.lineno,
+        frame.colno,
+        frame['function']
+    ].join('|');
+}
+
+/*
+ * Shrink the payload until its serialized form fits into `maxPayloadSize`.
+ * We give up the least useful bits first: context lines, then frames from
+ * the middle of the stack, then long strings in extra and tags. The steps
+ * taken are recorded in extra, so it's obvious in Sentry that we cut corners.
+ */
+function trimPayload(data) {
+    // The image transport sends the event URL encoded in the query string,
+    // where it has to get past browser and proxy limits on URL length
+    var encoded = !globalOptions.batchEvents && getTransport() === imageTransport,
+        maxSize = globalOptions.maxPayloadSize || (encoded ? 8000 : 100000),
+        steps = [],
+        stacktraces = [],
+        originals = [],
+        omitted = [],
+        total = 0,
+        frames, keep, head, limit, i;
+
+    function fits() {
+        var body = JSON.stringify(data);
+        return (encoded ? encodeURIComponent(body) : body).length <= maxSize;
+    }
+
+    if (fits()) return data;
+
+    // Mark the event first, so the marker itself counts against the budget.
+    // Everything below copies before changing anything, since parts of the
+    // payload may be shared with global state.
+    data.extra = objectMerge({}, data.extra);
+    data.extra['raven:truncated'] = steps;
+
+    // The whole message is nice to have, but the first thing to go
+    if (hasKey(data.extra, 'raven:full_message')) {
+        delete data.extra['raven:full_message'];
+        steps.push('full_message');
+        if (fits()) return data;
+    }
+
+    // Chained exceptions come with a stacktrace each
+    eachStacktrace(data, function(stacktrace) {
+        var frames = stacktrace.frames,
+            i = frames ? frames.length : 0;
+
+        if (!i) return;
+
+        stacktrace.frames = frames = frames.slice(0);
+        while (i--) {
+            frames[i] = objectMerge({}, frames[i]);
+            delete frames[i].pre_context;
+            delete frames[i].context_line;
+            delete frames[i].post_context;
+        }
+
+        stacktraces.push(stacktrace);
+        originals.push(frames);
+        omitted.push(stacktrace.frames_omitted);
+        total = Math.max(total, frames.length);
+    });
+
+    if (stacktraces.length) {
+        steps.push('context');
+        if (fits()) return data;
+
+        // Halve the frames on every pass, always keeping the top and the
+        // bottom of the stack since that's where the interesting bits are
+        keep = total;
+        while (keep > 2) {
+            keep = Math.floor(keep / 2);
+            head = Math.ceil(keep / 2);
+            for (i = 0; i < stacktraces.length; i++) {
+                frames = originals[i];
+                if (frames.length <= keep) continue;
+                stacktraces[i].frames = frames.slice(0, head).concat(frames.slice(frames.length - (keep - head)));
+                stacktraces[i].frames_omitted = mergeOmittedFrames(omitted[i], head, frames.length - (keep - head));
+            }
+            if (fits()) break;
+        }
+        if (keep < total) steps.push('frames');
+        if (fits()) return data;
+    }
+
+    for (limit = 1024; limit >= 64; limit /= 4) {
+        data.extra = truncateStrings(data.extra, limit);
+        data.extra['raven:truncated'] = steps;
+        if (data.tags) data.tags = truncateStrings(data.tags, limit);
+        if (fits()) {
+            steps.push('strings');
+            return data;
+        }
+    }
+    steps.push('strings');
+
+    if (data.breadcrumbs) {
+        delete data.breadcrumbs;
+        steps.push('breadcrumbs');
+        if (fits()) return data;
+    }
+
+    // Still too big, there's nothing left to do but to drop extra entirely
+    data.extra = {'raven:truncated': steps};
+    steps.push('extra');
+
+    return data;
+}
+
+/*
+ * Leaving more frames out of a stacktrace that `maxFrames` already cut
+ * short, the range has to cover both, in positions of the whole stack
+ */
+function mergeOmittedFrames(previous, start, end) {
+    if (!previous) return [start, end];
+
+    var skipped = previous[1] - previous[0];
+
+    if (start >= previous[0]) start += skipped;
+    if (end >= previous[0]) end += skipped;
+    return [Math.min(start, previous[0]), Math.max(end, previous[1])];
+}
+
+function truncateStrings(value, max, depth) {
+    var result;
+    depth = depth || 0;
+
+    if (isString(value)) return truncate(value, max);
+    if (depth > 10 || !value || typeof value !== 'object') return value;
+
+    result = isArray(value) ? [] : {};
+    each(value, function(key, item) {
+        result[key] = truncateStrings(item, max, depth + 1);
+    });
+    return result;
+}
+
+
+/*
+ * Send a single event to the store endpoint, or a batch of them as an
+ * array, which goes to the envelope endpoint with an item for each event
+ */
+function makeRequest(data) {
+    var batch = isArray(data),
+        transport = getTransport(pageUnloading && globalOptions.flushOnUnload !== false),
+        url = batch ? getEnvelopeUrl() : globalServer + authQueryString,
+        events = batch ? data : [data],
+        settled = false,
+        request;
+
+    // A request may end up being handed to more than one transport when the
+    // page goes away, but only the first outcome counts
+    function settle() {
+        if (settled) return false;
+        settled = true;
+
+        var i = pendingRequests.length;
+        while (i--) {
+            if (pendingRequests[i] === request) pendingRequests.splice(i, 1);
+        }
+        return true;
+    }
+
+    request = {
+        url: url,
+        auth: getAuth(),
+        data: data,
+        body: batch ? makeEnvelope('event', data) : JSON.stringify(data),
+        unloading: pageUnloading,
+        onSuccess: function success() {
+            if (!settle()) return;
+
+            offlineRetryAttempts = 0;
+            each(events, function(i, event) {
+                triggerEvent('success', {
+                    data: event,
+                    src: url
+                });
+            });
+        },
+        onError: function failure(error) {
+            if (!settle()) return;
+
+            each(events, function(i, event) {
+                if (globalOptions.offlineQueue && isRetriable(error)) {
+                    queueOfflineEvent(event);
+                }
+                triggerEvent('failure', {
+                    data: event,
+                    src: url,
+                    error: error
+                });
+            });
+        }
+    };
+
+    pendingRequests.push(request);
+
+    // The envelope endpoint only takes POSTs
+    if (batch && transport === imageTransport) transport = xhrTransport;
+
+    transport(request);
+}
+
+/*
+ * Once the page is on its way out, regular requests are likely to be
+ * cancelled before they make it, so the built in transports give way to
+ * the beacon one. A custom transport is left to look at `unloading` itself.
+ */
+function getTransport(unloading) {
+    var transport = globalOptions.transport;
+
+    if (isFunction(transport)) return transport;
+    if (unloading) return beaconTransport;
+    if (isString(transport)) transport = Raven.transports[transport];
+    return isFunction(transport) ? transport : imageTransport;
+}
+
+function getEnvelopeUrl() {
+    return globalServer.replace(/store\/$/, 'envelope/') + authQueryString;
+}
+
+/*
+ * Sentry's envelope format: a header, followed by a header and
+ * a payload for every item, each on a line of its own
+ */
+function makeEnvelope(type, items) {
+    var lines = [JSON.stringify({sent_at: toISOString(new Date().getTime())})];
+
+    each(items, function(i, item) {
+        lines.push(JSON.stringify({type: type}), JSON.stringify(item));
+    });
+    return lines.join('\n');
+}
+
+function getAuth() {
+    return {
+        sentry_version: '4',
+        sentry_client: 'raven-js/' + Raven.VERSION,
+        sentry_key: globalKey
+    };
+}
+
+function handlePageHide() {
+    pageUnloading = true;
+    flushBatchedEvents();
+    flushPendingRequests();
+}
+
+function handlePageShow() {
+    // Back from the back/forward cache, so the page lives on after all
+    pageUnloading = false;
+}
+
+function handleVisibilityChange() {
+    // Mobile browsers tend to discard hidden pages without a pagehide, so
+    // what's already on its way has to go out with a beacon. The page is
+    // still there though, so new events go out the usual way.
+    if (document.visibilityState === 'hidden') {
+        flushBatchedEvents();
+        flushPendingRequests();
+    }
+}
+
+function flushPendingRequests() {
+    // Requests already handed to a custom transport are up to it
+    if (isFunction(globalOptions.transport)) return;
+
+    // Copy, since requests remove themselves from the list as they settle
+    each(pendingRequests.slice(0), function(i, request) {
+        beaconTransport(request);
+    });
+}
+
+/*
+ * Transports receive a single options object:
+ *
+ *   url        the store endpoint, including the auth query string
+ *   auth       the auth parameters as an object, for transports that want headers
+ *   data       the raw payload
+ *   body       the serialized payload
+ *   unloading  whether the page is being unloaded, so a regular request is
+ *              likely to be cancelled
+ *   onSuccess  to be called once the event has been accepted
+ *   onError    to be called with an Error when delivery failed
+ */
+function imageTransport(options) {
+    var img = new Image();
+
+    img.onload = function() {
+        options.onSuccess();
+    };
+    img.onerror = img.onabort = function() {
+        options.onError(new Error('Sentry request failed'));
+    };
+    img.src = options.url + '&sentry_data=' + encodeURIComponent(options.body);
+}
+
+function xhrTransport(options) {
+    var request = window.XMLHttpRequest && new XMLHttpRequest();
+
+    if (request && 'withCredentials' in request) {
+        request.onreadystatechange = function() {
+            if (request.readyState !== 4) return;
+
+            if (request.status >= 200 && request.status < 300) {
+                options.onSuccess();
+            } else {
+                var error = new Error('Sentry responded with ' + request.status);
+                error.request = request;
+                error.status = request.status;
+                options.onError(error);
+            }
+        };
+        request.open('POST', options.url, true);
+        // text/plain keeps this a "simple" CORS request, no preflight needed
+        request.setRequestHeader('Content-Type', 'text/plain;charset=UTF-8');
+        request.send(options.body);
+    } else if (window.XDomainRequest) {
+        // IE8/9 can do CORS, but only through XDomainRequest and without
+        // any access to the response status
+        request = new window.XDomainRequest();
+        request.onload = function() {
+            options.onSuccess();
+        };
+        request.onerror = function() {
+            options.onError(new Error('Sentry request failed'));
+        };
+        request.open('POST', options.url);
+        request.send(options.body);
+    } else {
+        // No CORS support at all, so GET through an Image is all we have
+        imageTransport(options);
+    }
+}
+
+function beaconTransport(options) {
+    // sendBeacon only tells us whether the browser accepted the request,
+    // which is as good as it gets while the page is unloading
+    if (navigator.sendBeacon) {
+        try {
+            if (navigator.sendBeacon(options.url, options.body)) {
+                options.onSuccess();
+                return;
+            }
+        } catch(e) {}
+    }
+
+    // A synchronous request is the only other thing that survives unload
+    try {
+        var request = new XMLHttpRequest();
+        request.open('POST', options.url, false);
+        request.setRequestHeader('Content-Type', 'text/plain;charset=UTF-8');
+        request.send(options.body);
+
+        if (request.status >= 200 && request.status < 300) {
+            options.onSuccess();
+        } else {
+            var error = new Error('Sentry responded with ' + request.status);
+            error.request = request;
+            error.status = request.status;
+            options.onError(error);
+        }
+    } catch(e) {
+        options.onError(e);
+    }
+}
+
+var offlineQueueKey = 'raven-js:queue';
+
+function isRetriable(error) {
+    // 4xx responses won't get any better by retrying them, except for
+    // being rate limited. Anything else, including not knowing the status
+    // at all, is treated as a connectivity problem.
+    var status = error && error.status;
+    return !(status >= 400 && status < 500 && status !== 429);
+}
+
+function loadOfflineQueue() {
+    var queue, ttl = globalOptions.offlineQueueTTL || 86400000,
+        now = new Date().getTime(), fresh = [];
+
+    try {
+        queue = JSON.parse(window.localStorage.getItem(offlineQueueKey)) || [];
+    } catch(e) {
+        // localStorage can be missing, disabled (Safari private mode),
+        // or hold something we didn't write
+        return fresh;
+    }
+
+    each(queue, function(i, item) {
+        if (item && item.data && now - item.ts < ttl) {
+            fresh.push(item);
+        }
+    });
+    return fresh;
+}
+
+function saveOfflineQueue(queue) {
+    try {
+        if (queue.length) {
+            window.localStorage.setItem(offlineQueueKey, JSON.stringify(queue));
+        } else {
+            window.localStorage.removeItem(offlineQueueKey);
+        }
+    } catch(e) {
+        // Out of quota or no storage, there's nothing more we can do
+    }
+}
+
+function queueOfflineEvent(data) {
+    var queue = loadOfflineQueue(),
+        size = globalOptions.offlineQueueSize || 30,
+        i = queue.length;
+
+    // The same event may come back around after a failed retry
+    while (i--) {
+        if (queue[i].data.event_id === data.event_id) queue.splice(i, 1);
+    }
+
+    queue.push({data: data, ts: new Date().getTime()});
+
+    // Drop the oldest events once we're over the cap
+    if (queue.length > size) queue = queue.slice(queue.length - size);
+
+    saveOfflineQueue(queue);
+    scheduleOfflineRetry();
+}
+
+function scheduleOfflineRetry() {
+    if (offlineRetryTimer) return;
+
+    var delay = Math.min(
+        (globalOptions.offlineRetryDelay || 1000) * Math.pow(2, offlineRetryAttempts),
+        globalOptions.offlineRetryMaxDelay || 300000
+    );
+    offlineRetryAttempts++;
+
+    offlineRetryTimer = setTimeout(function() {
+        offlineRetryTimer = undefined;
+        flushOfflineQueue();
+    }, delay);
+}
+
+function flushOfflineQueue() {
+    if (!globalServer) return;
+
+    // No point in trying, the `online` event will get us going again
+    if (navigator.onLine === false) return;
+
+    var queue = loadOfflineQueue();
+    if (!queue.length) return;
+
+    // Failures will put their event back into the queue
+    saveOfflineQueue([]);
+    each(queue, function(i, item) {
+        makeRequest(item.data);
+    });
+}
+
+var sessionStorageKey = 'raven-js:session';
+
+function startSession() {
+    var previous;
+
+    try {
+        previous = JSON.parse(window.sessionStorage.getItem(sessionStorageKey));
+    } catch(e) {}
+
+    // pagehide never fired for the previous page, so it went down in some
+    // way we didn't get to see
+    if (previous && previous.sid) {
+        currentSession = previous;
+        currentSession.init = false;
+        sendSessionUpdate('abnormal');
+    }
+
+    currentSession = {
+        sid: uuid4(),
+        init: true,
+        started: new Date().getTime(),
+        status: 'ok',
+        errors: 0
+    };
+    sendSessionUpdate();
+}
+
+function markSessionErrored() {
+    var wasOk = currentSession.status === 'ok';
+
+    currentSession.status = 'errored';
+    currentSession.errors++;
+
+    // Sentry only needs to hear about the session going bad, the update
+    // that ends it carries the final count
+    if (wasOk) {
+        sendSessionUpdate();
+    } else {
+        storeSession();
+    }
+}
+
+function storeSession() {
+    try {
+        window.sessionStorage.setItem(sessionStorageKey, JSON.stringify(currentSession));
+    } catch(e) {}
+}
+
+function handleSessionUnload() {
+    endSession(true);
+}
+
+function handleSessionPageShow(evt) {
+    // Back from the back/forward cache, after pagehide ended the session
+    if (evt && evt.persisted && !currentSession) startSession();
+}
+
+function endSession(unloading) {
+    if (!currentSession) return;
+
+    // Once ended, a session must not be continued by the next page
+    try {
+        window.sessionStorage.removeItem(sessionStorageKey);
+    } catch(e) {}
+
+    // Errors are counted separately, so an errored session exits just the same
+    sendSessionUpdate('exited', unloading);
+    currentSession = undefined;
+}
+
+/*
+ * Send the current state of the session, optionally ending it with
+ * a final status. Sessions go to the envelope endpoint, which only
+ * takes POSTs, so the image transport is of no use here.
+ */
+function sendSessionUpdate(endStatus, unloading) {
+    var session = currentSession,
+        now = new Date().getTime(),
+        transport = getTransport(unloading),
+        payload;
+
+    if (transport === imageTransport) transport = xhrTransport;
+
+    if (!endStatus) storeSession();
+
+    payload = {
+        sid: session.sid,
+        init: session.init,
+        started: toISOString(session.started),
+        timestamp: toISOString(now),
+        status: endStatus || session.status,
+        errors: session.errors,
+        duration: (now - session.started) / 1000,
+        attrs: {
+            release: globalOptions.release,
+            environment: globalOptions.environment,
+            user_agent: navigator.userAgent
+        }
+    };
+    session.init = false;
+
+    transport({
+        url: getEnvelopeUrl(),
+        auth: getAuth(),
+        data: payload,
+        body: makeEnvelope('session', [payload]),
+        unloading: !!unloading,
+        onSuccess: function() {},
+        onError: function() {}
+    });
+}
+
+function toISOString(time) {
+    var date = new Date(time);
+
+    function pad(number, length) {
+        number = '' + number;
+        while (number.length < (length || 2)) number = '0' + number;
+        return number;
+    }
+
+    // Date.prototype.toISOString isn't around before IE9
+    return date.getUTCFullYear() + '-' + pad(date.getUTCMonth() + 1) + '-' + pad(date.getUTCDate()) +
+        'T' + pad(date.getUTCHours()) + ':' + pad(date.getUTCMinutes()) + ':' + pad(date.getUTCSeconds()) +
+        '.' + pad(date.getUTCMilliseconds(), 3) + 'Z';
+}
+
+function addEventHandler(target, type, listener, capture) {
+    if (target.addEventListener) {
+        target.addEventListener(type, listener, !!capture);
+    } else if (target.attachEvent) {
+        target.attachEvent('on' + type, listener);
+    }
+}
+
+function removeEventHandler(target, type, listener, capture) {
+    if (target.removeEventListener) {
+        target.removeEventListener(type, listener, !!capture);
+    } else if (target.detachEvent) {
+        target.detachEvent('on' + type, listener);
+    }
 }
 
 function isSetup() {
@@ -6,6 +6,19 @@ function flushRavenState() {
     globalServer = undefined;
     globalUser = undefined;
     globalProject = undefined;
+    offlineRetryAttempts = 0;
+    lastEventSignature = undefined;
+    suppressedEvents = 0;
+    sentTimestamps = [];
+    pendingRequests = [];
+    pageUnloading = false;
+    batchedEvents = [];
+    clearTimeout(batchTimer);
+    batchTimer = undefined;
+    breadcrumbs = [];
+    scopeStack = [];
+    eventProcessors = [];
+    sourceMaps = {};
     globalOptions = {
         logger: 'javascript',
         ignoreErrors: [],
@@ -185,6 +198,15 @@ describe('globals', function() {
         });
     });
 
+    describe('isArray', function() {
+        it('should do as advertised', function() {
+            assert.isTrue(isArray([]));
+            assert.isFalse(isArray({}));
+            assert.isFalse(isArray({length: 0}));
+            assert.isFalse(isArray(undefined));
+        });
+    });
+
     describe('isEmptyObject', function() {
         it('should work as advertised', function() {
             assert.isTrue(isEmptyObject({}));
@@ -495,6 +517,55 @@ describe('globals', function() {
             assert.equal(window.send.callCount, 2);
         });
 
+        it('should leave long messages to send', function() {
+            this.sinon.stub(window, 'send');
+
+            var message = new Array(201).join('x');
+            processException('Error', message, 'http://example.com', []);
+            assert.equal(window.send.lastCall.args[0].exception.value, message);
+        });
+
+        it('should send chained exceptions as a list', function() {
+            this.sinon.stub(window, 'send');
+
+            var cause = {type: 'TypeError', value: 'root', stacktrace: {frames: [{filename: 'http://example.com/root.js'}]}};
+
+            processException('Error', 'lol', 'http://example.com/file.js', 10,
+                [{filename: 'http://example.com/file.js'}], {causes: [cause], extra: {a: 1}});
+            assert.deepEqual(window.send.lastCall.args, [{
+                exception: {
+                    values: [cause, {
+                        type: 'Error',
+                        value: 'lol',
+                        stacktrace: {frames: [{filename: 'http://example.com/file.js'}]}
+                    }]
+                },
+                stacktrace: undefined,
+                culprit: 'http://example.com/file.js',
+                message: 'lol at 10',
+                extra: {a: 1}
+            }]);
+
+            processException('Error', 'lol', 'http://example.com/file.js', 10, [], {causes: []});
+            assert.deepEqual(window.send.lastCall.args[0].exception, {type: 'Error', value: 'lol'});
+            assert.isFalse('causes' in window.send.lastCall.args[0]);
+        });
+
+        it('should put the mechanism on the exception', function() {
+            this.sinon.stub(window, 'send');
+
+            var mechanism = {type: 'onunhandledrejection', handled: false},
+                cause = {type: 'TypeError', value: 'root'};
+
+            processException('Error', 'lol', 'http://example.com/file.js', 10, [], {mechanism: mechanism});
+            assert.deepEqual(window.send.lastCall.args[0].exception, {type: 'Error', value: 'lol', mechanism: mechanism});
+            assert.isFalse('mechanism' in window.send.lastCall.args[0]);
+
+            processException('Error', 'lol', 'http://example.com/file.js', 10, [], {mechanism: mechanism, causes: [cause]});
+            assert.isUndefined(window.send.lastCall.args[0].exception.values[0].mechanism);
+            assert.deepEqual(window.send.lastCall.args[0].exception.values[1].mechanism, mechanism);
+        });
+
         it('should send a proper payload with frames', function() {
             this.sinon.stub(window, 'send');
 
@@ -694,6 +765,26 @@ describe('globals', function() {
             }]);
         });
 
+        it('should send along release, environment and dist', function() {
+            this.sinon.stub(window, 'isSetup').returns(true);
+            this.sinon.stub(window, 'makeRequest');
+
+            globalOptions = {
+                release: 'abc123',
+                environment: 'staging',
+                dist: '42'
+            };
+
+            send({message: 'lol'});
+            var data = window.makeRequest.lastCall.args[0];
+            assert.equal(data.release, 'abc123');
+            assert.equal(data.environment, 'staging');
+            assert.equal(data.dist, '42');
+
+            send({message: 'lol', environment: 'production'});
+            assert.equal(window.makeRequest.lastCall.args[0].environment, 'production');
+        });
+
         it('should merge in global tags', function() {
             this.sinon.stub(window, 'isSetup').returns(true);
             this.sinon.stub(window, 'makeRequest');
@@ -727,6 +818,38 @@ describe('globals', function() {
             }]);
         });
 
+        it('should not leak tags and extra into the global context', function() {
+            this.sinon.stub(window, 'isSetup').returns(true);
+            this.sinon.stub(window, 'makeRequest');
+
+            globalOptions = {
+                tags: {tag1: 'value1'},
+                extra: {key1: 'value1'}
+            };
+
+            send({tags: {tag2: 'value2'}, extra: {key2: 'value2'}});
+            assert.deepEqual(globalOptions.tags, {tag1: 'value1'});
+            assert.deepEqual(globalOptions.extra, {key1: 'value1'});
+
+            send({});
+            assert.deepEqual(window.makeRequest.lastCall.args[0].tags, {tag1: 'value1'});
+            assert.deepEqual(window.makeRequest.lastCall.args[0].extra, {key1: 'value1'});
+        });
+
+        it('should let per event data take precedence', function() {
+            this.sinon.stub(window, 'isSetup').returns(true);
+            this.sinon.stub(window, 'makeRequest');
+
+            globalOptions = {
+                tags: {tag1: 'global', tag2: 'global'}
+            };
+            globalUser = {name: 'Matt'};
+
+            send({tags: {tag2: 'event'}, user: {name: 'Bob'}});
+            assert.deepEqual(window.makeRequest.lastCall.args[0].tags, {tag1: 'global', tag2: 'event'});
+            assert.deepEqual(window.makeRequest.lastCall.args[0].user, {name: 'Bob'});
+        });
+
         it('should merge in global extra', function() {
             this.sinon.stub(window, 'isSetup').returns(true);
             this.sinon.stub(window, 'makeRequest');
@@ -760,6 +883,52 @@ describe('globals', function() {
             }]);
         });
 
+        it('should normalize extra so it can be serialized', function() {
+            this.sinon.stub(window, 'isSetup').returns(true);
+            this.sinon.stub(window, 'makeRequest');
+
+            var circular = {name: 'loop'};
+            circular.self = circular;
+
+            globalOptions = {};
+            send({extra: {circular: circular, elem: document.body}});
+            assert.deepEqual(window.makeRequest.lastCall.args[0].extra, {
+                circular: {name: 'loop', self: '[Circular]'},
+                elem: '[HTMLElement: body]'
+            });
+            assert.equal(circular.self, circular);
+        });
+
+        it('should drop noise when the noise filter is on', function() {
+            this.sinon.stub(window, 'isSetup').returns(true);
+            this.sinon.stub(window, 'makeRequest');
+
+            globalOptions = {};
+            send({message: 'ResizeObserver loop limit exceeded'});
+            assert.equal(window.makeRequest.callCount, 1);
+
+            globalOptions = {defaultIntegrations: {noiseFilter: true}};
+            send({message: 'ResizeObserver loop limit exceeded'});
+            assert.equal(window.makeRequest.callCount, 1);
+        });
+
+        it('should run the event processors after dataCallback', function() {
+            this.sinon.stub(window, 'isSetup').returns(true);
+            this.sinon.stub(window, 'makeRequest');
+
+            globalOptions = {
+                dataCallback: function(data) { return {message: data.message, steps: ['callback']}; }
+            };
+            eventProcessors = [function(data) { data.steps.push('processor'); return data; }];
+
+            send({message: 'foo'});
+            assert.deepEqual(window.makeRequest.lastCall.args[0].steps, ['callback', 'processor']);
+
+            eventProcessors = [function() { return null; }];
+            send({message: 'foo'});
+            assert.equal(window.makeRequest.callCount, 1);
+        });
+
         it('should let dataCallback override everything', function() {
             this.sinon.stub(window, 'isSetup').returns(true);
             this.sinon.stub(window, 'makeRequest');
@@ -782,6 +951,89 @@ describe('globals', function() {
             }]);
         });
 
+        it('should attach the number of suppressed events to the next one', function() {
+            this.sinon.stub(window, 'isSetup').returns(true);
+            this.sinon.stub(window, 'makeRequest');
+
+            globalOptions = {
+                suppressDuplicates: true,
+                extra: {foo: 'bar'}
+            };
+
+            send({message: 'lol'});
+            send({message: 'lol'});
+            send({message: 'lol'});
+            assert.equal(window.makeRequest.callCount, 1);
+            assert.deepEqual(window.makeRequest.lastCall.args[0].extra, {foo: 'bar'});
+
+            send({message: 'rofl'});
+            assert.equal(window.makeRequest.callCount, 2);
+            assert.deepEqual(window.makeRequest.lastCall.args[0].extra, {foo: 'bar', 'raven:suppressed': 2});
+            assert.deepEqual(globalOptions.extra, {foo: 'bar'});
+
+            send({message: 'lol'});
+            assert.deepEqual(window.makeRequest.lastCall.args[0].extra, {foo: 'bar'});
+        });
+
+        it('should sample events with the global sampleRate', function() {
+            this.sinon.stub(window, 'isSetup').returns(true);
+            this.sinon.stub(window, 'makeRequest');
+            this.sinon.stub(Math, 'random').returns(0.5);
+
+            globalOptions = {
+                sampleRate: 0.5
+            };
+
+            send({message: 'lol'});
+            assert.isFalse(window.makeRequest.called);
+
+            globalOptions.sampleRate = 0.6;
+            send({message: 'lol'});
+            assert.isTrue(window.makeRequest.calledOnce);
+            assert.deepEqual(window.makeRequest.lastCall.args[0].extra, {'raven:sample_rate': 0.6});
+        });
+
+        it('should let a per event sampleRate override the global one', function() {
+            this.sinon.stub(window, 'isSetup').returns(true);
+            this.sinon.stub(window, 'makeRequest');
+            this.sinon.stub(Math, 'random').returns(0.5);
+
+            globalOptions = {
+                sampleRate: 0.1
+            };
+
+            send({message: 'lol', sampleRate: 1});
+            assert.isTrue(window.makeRequest.calledOnce);
+
+            var data = window.makeRequest.lastCall.args[0];
+            assert.isUndefined(data.sampleRate);
+            assert.deepEqual(data.extra, {'raven:sample_rate': 1});
+
+            send({message: 'lol', sampleRate: 0});
+            assert.isTrue(window.makeRequest.calledOnce);
+        });
+
+        it('should use the fingerprintCallback unless the event has a fingerprint', function() {
+            this.sinon.stub(window, 'isSetup').returns(true);
+            this.sinon.stub(window, 'makeRequest');
+
+            globalOptions = {
+                fingerprintCallback: Raven.normalizedMessageFingerprint
+            };
+
+            send({message: 'Item 48213 not found'});
+            var data = window.makeRequest.lastCall.args[0];
+            assert.deepEqual(data.fingerprint, ['message', 'Item <number> not found']);
+            assert.equal(data.message, 'Item 48213 not found');
+
+            send({message: 'lol', fingerprint: ['{{ default }}', 42]});
+            assert.deepEqual(window.makeRequest.lastCall.args[0].fingerprint, ['{{ default }}', '42']);
+
+            globalOptions.fingerprintCallback = function() {};
+            send({message: 'lol'});
+            assert.isUndefined(window.makeRequest.lastCall.args[0].fingerprint);
+        });
+
         it('should strip empty tags/extra', function() {
             this.sinon.stub(window, 'isSetup').returns(true);
             this.sinon.stub(window, 'makeRequest');
@@ -816,157 +1068,2212 @@ describe('globals', function() {
         });
     });
 
-    describe('makeRequest', function() {
-        it('should load an Image', function() {
-            imageCache = [];
-            authQueryString = '?lol';
-            globalServer = 'http://localhost/';
-
-            makeRequest({foo: 'bar'});
-            assert.equal(imageCache.length, 1);
-            assert.equal(imageCache[0].src, 'http://localhost/?lol&sentry_data=%7B%22foo%22%3A%22bar%22%7D');
+    describe('isThrottled', function() {
+        var event = {
+            exception: {type: 'Error', value: 'lol'},
+            stacktrace: {frames: [
+                {filename: 'http://example.com/file1.js', lineno: 1},
+                {filename: 'http://example.com/file2.js', lineno: 2}
+            ]}
+        };
+
+        it('should let everything through by default', function() {
+            assert.isFalse(isThrottled(event));
+            assert.isFalse(isThrottled(event));
+        });
+
+        it('should suppress consecutive duplicates', function() {
+            globalOptions.suppressDuplicates = true;
+            assert.isFalse(isThrottled(event));
+            assert.isTrue(isThrottled(event));
+            assert.isTrue(isThrottled({
+                exception: {type: 'Error', value: 'lol'},
+                stacktrace: {frames: [
+                    {filename: 'http://example.com/other.js', lineno: 5},
+                    {filename: 'http://example.com/file2.js', lineno: 2}
+                ]}
+            }));
+            assert.isFalse(isThrottled({message: 'something else'}));
+            assert.isFalse(isThrottled(event));
+            assert.equal(suppressedEvents, 2);
+        });
+
+        it('should tell chained exceptions apart by the one that was captured', function() {
+            globalOptions.suppressDuplicates = true;
+            assert.isFalse(isThrottled(event));
+            assert.isTrue(isThrottled({
+                exception: {values: [
+                    {type: 'TypeError', value: 'root'},
+                    {type: 'Error', value: 'lol', stacktrace: event.stacktrace}
+                ]}
+            }));
+        });
+
+        it('should limit the number of events per window', function() {
+            var clock = this.sinon.useFakeTimers();
+            globalOptions.rateLimit = 2;
+            globalOptions.rateLimitWindow = 1000;
+
+            assert.isFalse(isThrottled({message: '1'}));
+            clock.tick(500);
+            assert.isFalse(isThrottled({message: '2'}));
+            assert.isTrue(isThrottled({message: '3'}));
+            clock.tick(500);
+            assert.isFalse(isThrottled({message: '4'}));
+            assert.isTrue(isThrottled({message: '5'}));
+            assert.equal(suppressedEvents, 2);
+        });
+
+        it('should not treat a rate limited event as a duplicate', function() {
+            var clock = this.sinon.useFakeTimers();
+            globalOptions.suppressDuplicates = true;
+            globalOptions.rateLimit = 1;
+            globalOptions.rateLimitWindow = 1000;
+
+            assert.isFalse(isThrottled({message: '1'}));
+            assert.isTrue(isThrottled({message: '2'}));
+            clock.tick(1000);
+            assert.isFalse(isThrottled({message: '2'}));
         });
     });
 
-    describe('handleStackInfo', function() {
-        it('should work as advertised', function() {
-            var frame = {url: 'http://example.com'};
-            this.sinon.stub(window, 'normalizeFrame').returns(frame);
-            this.sinon.stub(window, 'processException');
-
-            var stackInfo = {
-                name: 'Matt',
-                message: 'hey',
-                url: 'http://example.com',
-                lineno: 10,
-                stack: [
-                    frame, frame
-                ]
+    describe('isNoise', function() {
+        function event(filenames, userAgent, message) {
+            var frames = [];
+            each(filenames, function(i, filename) {
+                frames.push({filename: filename, lineno: 1});
+            });
+            return {
+                exception: {type: 'Error', value: message || 'oops'},
+                stacktrace: {frames: frames},
+                request: {headers: {'User-Agent': userAgent || 'Mozilla/5.0 (X11; Linux x86_64)'}}
             };
+        }
 
-            handleStackInfo(stackInfo, {foo: 'bar'});
-            assert.deepEqual(window.processException.lastCall.args, [
-                'Matt', 'hey', 'http://example.com', 10, [frame, frame], {foo: 'bar'}
-            ]);
+        beforeEach(function() {
+            globalOptions.defaultIntegrations = {noiseFilter: true};
         });
 
-        it('should work as advertised #integration', function() {
-            this.sinon.stub(window, 'makeRequest');
-            var stackInfo = {
-                name: 'Error',
-                message: 'crap',
-                url: 'http://example.com',
-                lineno: 10,
-                stack: [
-                    {
-                        url: 'http://example.com/file1.js',
-                        line: 10,
-                        column: 11,
-                        func: 'broken',
-                        context: [
-                            'line1',
-                            'line2',
-                            'line3'
-                        ]
-                    },
-                    {
-                        url: 'http://example.com/file2.js',
-                        line: 12,
-                        column: 13,
-                        func: 'lol',
-                        context: [
-                            'line4',
-                            'line5',
-                            'line6'
-                        ]
-                    }
-                ]
-            };
-
-            handleStackInfo(stackInfo, {foo: 'bar'});
-            assert.isTrue(window.makeRequest.calledOnce);
-            /* This is commented out because chai is broken.
-
-            assert.deepEqual(window.makeRequest.lastCall.args, [{
-                project: '2',
-                logger: 'javascript',
-                platform: 'javascript',
-                request: {
-                    url: window.location.protocol + '//' + window.location.host + window.location.pathname,
-                    querystring: window.location.search.slice(1)
-                },
-                exception: {
-                    type: 'Error',
-                    value: 'crap'
-                },
-                stacktrace: {
-                    frames: [{
-                        filename: 'http://example.com/file1.js',
-                        filename: 'file1.js',
-                        lineno: 10,
-                        colno: 11,
-                        'function': 'broken',
-                        post_context: ['line3'],
-                        context_line: 'line2',
-                        pre_context: ['line1']
-                    }, {
-                        filename: 'http://example.com/file2.js',
-                        filename: 'file2.js',
-                        lineno: 12,
-                        colno: 13,
-                        'function': 'lol',
-                        post_context: ['line6'],
-                        context_line: 'line5',
-                        pre_context: ['line4']
-                    }]
-                },
-                culprit: 'http://example.com',
-                message: 'crap at 10',
-                foo: 'bar'
-            }]);
-            */
+        it('should let regular events through', function() {
+            assert.isFalse(isNoise(event(['http://example.com/app.js'])));
+            assert.isFalse(isNoise({message: 'hello'}));
         });
 
-        it('should ignore frames that dont have a url', function() {
-            this.sinon.stub(window, 'normalizeFrame').returns(undefined);
-            this.sinon.stub(window, 'processException');
+        it('should catch events coming only from extensions', function() {
+            assert.isTrue(isNoise(event(['chrome-extension://abc/content.js'])));
+            assert.isTrue(isNoise(event(['moz-extension://abc/a.js', 'safari-extension://abc/b.js'])));
+            assert.isFalse(isNoise(event(['chrome-extension://abc/content.js', 'http://example.com/app.js'])));
+        });
 
-            var stackInfo = {
-                name: 'Matt',
-                message: 'hey',
-                url: 'http://example.com',
-                lineno: 10,
-                stack: new Array(2)
-            };
+        it('should catch crawlers', function() {
+            assert.isTrue(isNoise(event([], 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)')));
+            assert.isTrue(isNoise(event([], 'Mozilla/5.0 (compatible; bingbot/2.0)')));
+            assert.isFalse(isNoise(event([], 'Mozilla/5.0 (Linux; Android 9; CUBOT X19)')));
+        });
 
-            handleStackInfo(stackInfo, {foo: 'bar'});
-            assert.deepEqual(window.processException.lastCall.args, [
-                'Matt', 'hey', 'http://example.com', 10, [], {foo: 'bar'}
-            ]);
+        it('should catch benign messages', function() {
+            assert.isTrue(isNoise(event([], null, 'ResizeObserver loop limit exceeded')));
+            assert.isTrue(isNoise({message: "TypeError: Cannot read property 'top.GLOBALS' of undefined"}));
+            assert.isFalse(isNoise(event([], null, 'ResizeObserver is not defined')));
         });
 
-        it('should not shit when there is no stack object from TK', function() {
-            this.sinon.stub(window, 'normalizeFrame').returns(undefined);
-            this.sinon.stub(window, 'processException');
+        it('should let every category be switched off', function() {
+            globalOptions.defaultIntegrations = {noiseFilter: {extensions: false, crawlers: false, messages: false}};
+            assert.isFalse(isNoise(event(['chrome-extension://abc/content.js'])));
+            assert.isFalse(isNoise(event([], 'Googlebot/2.1')));
+            assert.isFalse(isNoise(event([], null, 'ResizeObserver loop limit exceeded')));
 
-            var stackInfo = {
-                name: 'Matt',
-                message: 'hey',
-                url: 'http://example.com',
-                lineno: 10
-                // stack: new Array(2)
-            };
+            globalOptions.defaultIntegrations = {noiseFilter: {crawlers: false}};
+            assert.isTrue(isNoise(event(['chrome-extension://abc/content.js'])));
+            assert.isFalse(isNoise(event([], 'Googlebot/2.1')));
+        });
 
-            handleStackInfo(stackInfo);
-            assert.isFalse(window.normalizeFrame.called);
-            assert.deepEqual(window.processException.lastCall.args, [
-                'Matt', 'hey', 'http://example.com', 10, [], undefined
-            ]);
+        it('should be off by default', function() {
+            globalOptions.defaultIntegrations = {};
+            assert.isFalse(isNoise(event(['chrome-extension://abc/content.js'], 'Googlebot/2.1')));
         });
     });
 
-    describe('joinRegExp', function() {
-        it('should work as advertised', function() {
+    describe('normalizeValue', function() {
+        it('should leave plain data alone', function() {
+            var value = {a: 1, b: 'two', c: [true, null], d: {e: false}};
+            assert.deepEqual(normalizeValue(value), value);
+        });
+
+        it('should replace circular references', function() {
+            var value = {a: 1, list: []};
+            value.self = value;
+            value.list.push(value);
+
+            assert.deepEqual(normalizeValue(value), {a: 1, list: ['[Circular]'], self: '[Circular]'});
+        });
+
+        it('should not mistake repeated references for cycles', function() {
+            var shared = {a: 1};
+            assert.deepEqual(normalizeValue({b: shared, c: shared}), {b: {a: 1}, c: {a: 1}});
+        });
+
+        it('should give placeholders for exotic values', function() {
+            var elem = document.createElement('div');
+            elem.id = 'foo';
+            function named() {}
+
+            assert.deepEqual(normalizeValue({
+                func: named,
+                elem: elem,
+                doc: document,
+                win: window,
+                error: new TypeError('nope'),
+                date: new Date(1413152400000),
+                invalid: new Date(NaN),
+                regexp: /foo/i,
+                nothing: undefined,
+                nan: NaN,
+                inf: -Infinity
+            }), {
+                func: '[Function: named]',
+                elem: '[HTMLElement: div#foo]',
+                doc: '[Document]',
+                win: '[Window]',
+                error: '[TypeError: nope]',
+                date: '2014-10-12T22:20:00.000Z',
+                invalid: '[Invalid Date]',
+                regexp: '/foo/i',
+                nothing: '[undefined]',
+                nan: '[NaN]',
+                inf: '[-Infinity]'
+            });
+        });
+
+        it('should cut off at the configured depth', function() {
+            var value = {a: {b: {c: {d: 1}, e: [1], f: 'g'}}};
+
+            assert.deepEqual(normalizeValue(value), {a: {b: {c: '[Object]', e: '[Array]', f: 'g'}}});
+
+            globalOptions.normalizeDepth = 1;
+            assert.deepEqual(normalizeValue(value), {a: '[Object]'});
+        });
+
+        it('should cut off at the configured breadth', function() {
+            globalOptions.normalizeBreadth = 2;
+
+            assert.deepEqual(normalizeValue([1, 2, 3, 4]), [1, 2, '[2 more items]']);
+            assert.deepEqual(normalizeValue({a: 1, b: 2, c: 3}), {a: 1, b: 2, '...': '[more keys]'});
+        });
+
+        it('should truncate long strings', function() {
+            globalOptions.maxStringLength = 5;
+            assert.deepEqual(normalizeValue({a: 'abcdefgh', b: 'abc'}), {a: 'abcde\u2026', b: 'abc'});
+        });
+
+        it('should survive throwing getters', function() {
+            var value = {};
+            Object.defineProperty(value, 'boom', {
+                enumerable: true,
+                get: function() { throw new Error('boom'); }
+            });
+            assert.deepEqual(normalizeValue(value), {boom: '[Unreadable]'});
+        });
+    });
+
+    describe('scrubData', function() {
+        it('should mask sensitive keys in extra, tags and user', function() {
+            var extra = {password: 'hunter2', nested: {api_key: 'abc', ok: 'fine'}},
+                data = scrubData({
+                    extra: extra,
+                    tags: {session_id: '123'},
+                    user: {id: 1, email: 'matt@example.com'}
+                });
+
+            assert.deepEqual(data.extra, {
+                password: '[Filtered]',
+                nested: {api_key: '[Filtered]', ok: 'fine'},
+                'raven:filtered': ['extra.password', 'extra.nested.api_key', 'tags.session_id', 'user.email']
+            });
+            assert.deepEqual(data.tags, {session_id: '[Filtered]'});
+            assert.deepEqual(data.user, {id: 1, email: '[Filtered]'});
+            assert.deepEqual(extra, {password: 'hunter2', nested: {api_key: 'abc', ok: 'fine'}});
+        });
+
+        it('should mask frame filenames of chained exceptions', function() {
+            var values = [
+                    {type: 'TypeError', value: 'root', stacktrace: {frames: [{filename: 'http://example.com/a.js?token=1'}]}},
+                    {type: 'Error', value: 'lol'}
+                ],
+                data = scrubData({exception: {values: values}});
+
+            assert.equal(data.exception.values[0].stacktrace.frames[0].filename, 'http://example.com/a.js?token=[Filtered]');
+            assert.deepEqual(data.exception.values[1], {type: 'Error', value: 'lol'});
+            assert.deepEqual(data.extra['raven:filtered'], ['exception.values.0.stacktrace.frames.0.filename?token']);
+            assert.equal(values[0].stacktrace.frames[0].filename, 'http://example.com/a.js?token=1');
+        });
+
+        it('should mask card numbers in values', function() {
+            var data = scrubData({extra: {note: 'paid with 4111 1111 1111 1111 today', id: '1234567890123'}});
+            assert.equal(data.extra.note, 'paid with [Filtered] today');
+            assert.equal(data.extra.id, '1234567890123');
+            assert.deepEqual(data.extra['raven:filtered'], ['extra.note']);
+        });
+
+        it('should mask query strings in urls', function() {
+            var data = scrubData({
+                request: {
+                    url: 'http://example.com/?token=abc&page=2#email=matt%40example.com',
+                    headers: {
+                        'User-Agent': 'lolbrowser',
+                        Referer: 'http://example.com/login?password=hunter2'
+                    }
+                },
+                culprit: 'http://example.com/app.js?secret=1',
+                stacktrace: {frames: [{filename: 'http://example.com/app.js?secret=1', lineno: 1}]},
+                breadcrumbs: {values: [{category: 'xhr', data: {url: '/api?api_key=abc', method: 'GET'}}]}
+            });
+
+            assert.equal(data.request.url, 'http://example.com/?token=[Filtered]&page=2#email=[Filtered]');
+            assert.equal(data.request.headers.Referer, 'http://example.com/login?password=[Filtered]');
+            assert.equal(data.request.headers['User-Agent'], 'lolbrowser');
+            assert.equal(data.culprit, 'http://example.com/app.js?secret=[Filtered]');
+            assert.equal(data.stacktrace.frames[0].filename, 'http://example.com/app.js?secret=[Filtered]');
+            assert.equal(data.breadcrumbs.values[0].data.url, '/api?api_key=[Filtered]');
+            assert.deepEqual(data.extra['raven:filtered'], [
+                'request.url?token',
+                'request.url?email',
+                'request.headers.Referer?password',
+                'culprit?secret',
+                'stacktrace.frames.0.filename?secret',
+                'breadcrumbs.0.data.url?api_key'
+            ]);
+        });
+
+        it('should use the configured scrubFields', function() {
+            globalOptions.scrubFields = [/^mine$/];
+            var data = scrubData({extra: {mine: 'a', password: 'b'}});
+            assert.deepEqual(data.extra, {mine: '[Filtered]', password: 'b', 'raven:filtered': ['extra.mine']});
+
+            globalOptions.scrubFields = [];
+            data = scrubData({extra: {password: 'b'}});
+            assert.deepEqual(data.extra, {password: 'b'});
+        });
+
+        it('should only run when enabled', function() {
+            this.sinon.stub(window, 'isSetup').returns(true);
+            this.sinon.stub(window, 'makeRequest');
+            this.sinon.spy(window, 'scrubData');
+
+            globalOptions = {};
+            send({extra: {password: 'hunter2'}});
+            assert.isFalse(window.scrubData.called);
+
+            globalOptions.scrubData = true;
+            send({extra: {password: 'hunter2'}});
+            assert.equal(window.makeRequest.lastCall.args[0].extra.password, '[Filtered]');
+        });
+    });
+
+    describe('isCardNumber', function() {
+        it('should do as advertised', function() {
+            assert.isTrue(isCardNumber('4111111111111111'));
+            assert.isTrue(isCardNumber('5500-0000-0000-0004'));
+            assert.isFalse(isCardNumber('4111111111111112'));
+        });
+    });
+
+    describe('limitLengths', function() {
+        it('should leave short values alone', function() {
+            var data = {
+                message: 'foo',
+                exception: {type: 'Error', value: 'foo'},
+                culprit: 'http://example.com/file.js',
+                tags: {a: 'b'},
+                breadcrumbs: {values: [{message: 'crumb'}]}
+            };
+            assert.deepEqual(limitLengths(data), data);
+        });
+
+        it('should cut messages down to maxMessageLength and keep the whole one', function() {
+            var long = new Array(2001).join('x'),
+                exception = {type: 'Error', value: long},
+                data = limitLengths({message: long + ' at 1', exception: exception});
+
+            assert.equal(data.exception.value, truncate(long, 1000));
+            assert.equal(data.message, truncate(long, 1000));
+            assert.deepEqual(data.extra, {'raven:full_message': long});
+            assert.equal(exception.value, long);
+
+            globalOptions.maxMessageLength = 10;
+            data = limitLengths({message: 'hello there world'});
+            assert.equal(data.message, 'hello ther\u2026');
+            assert.deepEqual(data.extra, {'raven:full_message': 'hello there world'});
+        });
+
+        it('should cut down every message of a chain', function() {
+            globalOptions.maxMessageLength = 3;
+            var data = limitLengths({exception: {values: [
+                {type: 'TypeError', value: 'root cause'},
+                {type: 'Error', value: 'outer'}
+            ]}});
+
+            assert.deepEqual(data.exception.values, [
+                {type: 'TypeError', value: 'roo\u2026'},
+                {type: 'Error', value: 'out\u2026'}
+            ]);
+            assert.deepEqual(data.extra, {'raven:full_message': 'outer'});
+        });
+
+        it('should only keep the whole message of the captured exception', function() {
+            globalOptions.maxMessageLength = 5;
+            var data = limitLengths({exception: {values: [
+                {type: 'TypeError', value: 'root cause'},
+                {type: 'Error', value: 'outer'}
+            ]}, message: 'outer'});
+
+            assert.equal(data.exception.values[0].value, 'root \u2026');
+            assert.isUndefined(data.extra);
+        });
+
+        it('should cut culprit, tags and breadcrumbs down to maxValueLength', function() {
+            var long = new Array(301).join('x'),
+                crumb = {message: long, category: 'console'},
+                data = limitLengths({
+                    culprit: long,
+                    tags: {a: long, b: 1},
+                    breadcrumbs: {values: [crumb, {category: 'ui.click'}]}
+                });
+
+            assert.equal(data.culprit, truncate(long, 250));
+            assert.deepEqual(data.tags, {a: truncate(long, 250), b: 1});
+            assert.deepEqual(data.breadcrumbs.values, [
+                {message: truncate(long, 250), category: 'console'},
+                {category: 'ui.click'}
+            ]);
+            assert.equal(crumb.message, long);
+            assert.isUndefined(data.extra);
+
+            globalOptions.maxValueLength = 3;
+            assert.equal(limitLengths({culprit: 'abcdef'}).culprit, 'abc\u2026');
+        });
+
+        it('should apply to captured messages', function() {
+            this.sinon.stub(window, 'isSetup').returns(true);
+            this.sinon.stub(window, 'makeRequest');
+
+            globalOptions = {maxMessageLength: 5};
+            Raven.captureMessage('a long message');
+            assert.equal(window.makeRequest.lastCall.args[0].message, 'a lon\u2026');
+        });
+    });
+
+    describe('trimPayload', function() {
+        beforeEach(function() {
+            // Budgets below are in characters of plain JSON
+            globalOptions.transport = 'xhr';
+        });
+
+        function makeFrames(n) {
+            var frames = [];
+            for (var i = 0; i < n; i++) {
+                frames.push({
+                    filename: 'http://example.com/file' + i + '.js',
+                    lineno: i,
+                    pre_context: ['pre'],
+                    context_line: 'line',
+                    post_context: ['post']
+                });
+            }
+            return frames;
+        }
+
+        it('should leave a payload within budget alone', function() {
+            var data = {message: 'lol', stacktrace: {frames: makeFrames(2)}};
+            globalOptions.maxPayloadSize = 10000;
+            assert.deepEqual(trimPayload(data), {message: 'lol', stacktrace: {frames: makeFrames(2)}});
+        });
+
+        it('should drop context lines first', function() {
+            var data = {stacktrace: {frames: makeFrames(2)}};
+            globalOptions.maxPayloadSize = 250;
+
+            trimPayload(data);
+            assert.deepEqual(data.stacktrace.frames, [
+                {filename: 'http://example.com/file0.js', lineno: 0},
+                {filename: 'http://example.com/file1.js', lineno: 1}
+            ]);
+            assert.deepEqual(data.extra['raven:truncated'], ['context']);
+        });
+
+        it('should drop frames from the middle of the stack', function() {
+            var data = {stacktrace: {frames: makeFrames(40)}};
+            globalOptions.maxPayloadSize = 500;
+
+            trimPayload(data);
+            var frames = data.stacktrace.frames;
+            assert.isTrue(frames.length < 40);
+            assert.equal(frames[0].lineno, 0);
+            assert.equal(frames[frames.length - 1].lineno, 39);
+            assert.deepEqual(data.stacktrace.frames_omitted, [
+                Math.ceil(frames.length / 2), 40 - Math.floor(frames.length / 2)
+            ]);
+            assert.deepEqual(data.extra['raven:truncated'], ['context', 'frames']);
+            assert.isTrue(JSON.stringify(data).length <= 500);
+        });
+
+        it('should measure what the image transport puts into the URL', function() {
+            var data = {message: 'lol', extra: {text: new Array(101).join('\u00e9')}};
+            globalOptions.transport = 'image';
+            globalOptions.maxPayloadSize = 600;
+
+            // Fits as JSON, but not URL encoded
+            assert.isTrue(JSON.stringify(data).length <= 600);
+            trimPayload(data);
+            assert.deepEqual(data.extra['raven:truncated'], ['strings']);
+            assert.isTrue(encodeURIComponent(JSON.stringify(data)).length <= 600);
+        });
+
+        it('should default to a budget that fits into a URL for the image transport', function() {
+            var data = {message: 'lol', extra: {big: new Array(9001).join('x')}};
+            globalOptions.transport = 'image';
+
+            trimPayload(data);
+            assert.isTrue(encodeURIComponent(JSON.stringify(data)).length <= 8000);
+
+            data = {message: 'lol', extra: {big: new Array(9001).join('x')}};
+            globalOptions.transport = 'xhr';
+            assert.isUndefined(trimPayload(data).extra['raven:truncated']);
+        });
+
+        it('should count omitted frames against the whole stack', function() {
+            var frames = makeFrames(60),
+                data = {stacktrace: {frames: frames.slice(0, 10).concat(frames.slice(50)), frames_omitted: [10, 50]}};
+            globalOptions.maxPayloadSize = 500;
+
+            trimPayload(data);
+            frames = data.stacktrace.frames;
+            var head = Math.ceil(frames.length / 2);
+            assert.isTrue(frames.length < 20);
+            assert.deepEqual(data.stacktrace.frames_omitted, [frames[head - 1].lineno + 1, frames[head].lineno]);
+            assert.equal(frames[frames.length - 1].lineno, 59);
+
+            assert.deepEqual(mergeOmittedFrames(undefined, 2, 5), [2, 5]);
+            assert.deepEqual(mergeOmittedFrames([10, 50], 5, 15), [5, 55]);
+            assert.deepEqual(mergeOmittedFrames([10, 50], 10, 12), [10, 52]);
+        });
+
+        it('should drop frames from every exception of a chain', function() {
+            var data = {exception: {values: [
+                {type: 'TypeError', value: 'root', stacktrace: {frames: makeFrames(10)}},
+                {type: 'Error', value: 'lol', stacktrace: {frames: makeFrames(40)}}
+            ]}};
+            globalOptions.maxPayloadSize = 800;
+
+            trimPayload(data);
+            var values = data.exception.values;
+            assert.isTrue(values[1].stacktrace.frames.length < 40);
+            assert.isUndefined(values[0].stacktrace.frames[0].context_line);
+            assert.isUndefined(values[1].stacktrace.frames[0].context_line);
+            assert.deepEqual(data.extra['raven:truncated'], ['context', 'frames']);
+            assert.isTrue(JSON.stringify(data).length <= 800);
+        });
+
+        it('should drop the full message first', function() {
+            globalOptions.maxPayloadSize = 2000;
+            var data = trimPayload({
+                message: 'foo',
+                extra: {'raven:full_message': new Array(3001).join('x')}
+            });
+            assert.deepEqual(data.extra, {'raven:truncated': ['full_message']});
+        });
+
+        it('should truncate long strings in extra and tags', function() {
+            var long = new Array(2001).join('x'),
+                data = {extra: {foo: long, nested: [long]}, tags: {bar: long}};
+            globalOptions.maxPayloadSize = 1000;
+
+            trimPayload(data);
+            assert.equal(data.extra.foo, truncate(long, 256));
+            assert.equal(data.extra.nested[0], truncate(long, 256));
+            assert.equal(data.tags.bar, truncate(long, 256));
+            assert.deepEqual(data.extra['raven:truncated'], ['strings']);
+        });
+
+        it('should drop breadcrumbs before extra', function() {
+            var values = [];
+            for (var i = 0; i < 100; i++) values.push({message: 'crumb ' + i});
+            var data = {extra: {foo: 'bar'}, breadcrumbs: {values: values}};
+            globalOptions.maxPayloadSize = 200;
+
+            trimPayload(data);
+            assert.isUndefined(data.breadcrumbs);
+            assert.deepEqual(data.extra, {foo: 'bar', 'raven:truncated': ['strings', 'breadcrumbs']});
+        });
+
+        it('should drop extra as a last resort', function() {
+            var extra = {};
+            for (var i = 0; i < 100; i++) extra['key' + i] = i;
+            var data = {extra: extra};
+            globalOptions.maxPayloadSize = 200;
+
+            trimPayload(data);
+            assert.deepEqual(data.extra, {'raven:truncated': ['strings', 'extra']});
+        });
+
+        it('should not modify shared objects', function() {
+            var frames = makeFrames(40),
+                extra = {foo: new Array(2001).join('x')},
+                data = {stacktrace: {frames: frames}, extra: extra};
+            globalOptions.maxPayloadSize = 300;
+
+            trimPayload(data);
+            assert.deepEqual(frames, makeFrames(40));
+            assert.deepEqual(extra, {foo: new Array(2001).join('x')});
+        });
+    });
+
+    describe('makeRequest', function() {
+        it('should load an Image', function() {
+            imageCache = [];
+            authQueryString = '?lol';
+            globalServer = 'http://localhost/';
+
+            makeRequest({foo: 'bar'});
+            assert.equal(imageCache.length, 1);
+            assert.equal(imageCache[0].src, 'http://localhost/?lol&sentry_data=%7B%22foo%22%3A%22bar%22%7D');
+        });
+
+        it('should hand the request over to a custom transport', function() {
+            var transport = this.sinon.spy();
+            authQueryString = '?lol';
+            globalServer = 'http://localhost/';
+            globalKey = 'abc';
+            globalOptions.transport = transport;
+
+            makeRequest({foo: 'bar'});
+            assert.isTrue(transport.calledOnce);
+
+            var options = transport.lastCall.args[0];
+            assert.equal(options.url, 'http://localhost/?lol');
+            assert.deepEqual(options.auth, {
+                sentry_version: '4',
+                sentry_client: 'raven-js/' + Raven.VERSION,
+                sentry_key: 'abc'
+            });
+            assert.deepEqual(options.data, {foo: 'bar'});
+            assert.equal(options.body, '{"foo":"bar"}');
+            assert.isFunction(options.onSuccess);
+            assert.isFunction(options.onError);
+        });
+
+        it('should select a built in transport by name', function() {
+            this.sinon.stub(Raven.transports, 'xhr');
+            imageCache = [];
+            globalOptions.transport = 'xhr';
+
+            makeRequest({foo: 'bar'});
+            assert.isTrue(Raven.transports.xhr.calledOnce);
+            assert.equal(imageCache.length, 0);
+        });
+
+        it('should trigger ravenSuccess and ravenFailure from the transport callbacks', function() {
+            this.sinon.stub(window, 'triggerEvent');
+            globalOptions.transport = function(options) {
+                options.onSuccess();
+            };
+            makeRequest({foo: 'bar'});
+
+            globalOptions.transport = function(options) {
+                options.onError(new Error('nope'));
+            };
+            makeRequest({foo: 'bar'});
+
+            assert.equal(window.triggerEvent.firstCall.args[0], 'success');
+            assert.deepEqual(window.triggerEvent.firstCall.args[1].data, {foo: 'bar'});
+            assert.equal(window.triggerEvent.secondCall.args[0], 'failure');
+            assert.equal(window.triggerEvent.secondCall.args[1].error.message, 'nope');
+        });
+    });
+
+    describe('makeRequest with a batch', function() {
+        it('should send all events in one request', function() {
+            var transport = this.sinon.spy();
+            globalOptions.transport = transport;
+
+            this.sinon.useFakeTimers(1000);
+            authQueryString = '?lol';
+            globalServer = 'http://localhost/api/2/store/';
+
+            makeRequest([{event_id: 'a'}, {event_id: 'b'}]);
+            assert.isTrue(transport.calledOnce);
+
+            var options = transport.lastCall.args[0];
+            assert.equal(options.url, 'http://localhost/api/2/envelope/?lol');
+            assert.deepEqual(options.data, [{event_id: 'a'}, {event_id: 'b'}]);
+            assert.deepEqual(options.body.split('\n'), [
+                '{"sent_at":"1970-01-01T00:00:01.000Z"}',
+                '{"type":"event"}',
+                '{"event_id":"a"}',
+                '{"type":"event"}',
+                '{"event_id":"b"}'
+            ]);
+        });
+
+        it('should POST a batch instead of loading an Image', function() {
+            this.sinon.stub(window, 'xhrTransport');
+            imageCache = [];
+
+            makeRequest([{event_id: 'a'}, {event_id: 'b'}]);
+            assert.isTrue(window.xhrTransport.calledOnce);
+            assert.equal(imageCache.length, 0);
+        });
+
+        it('should trigger ravenSuccess and ravenFailure for every event', function() {
+            this.sinon.stub(window, 'triggerEvent');
+            globalOptions.transport = function(options) {
+                options.onSuccess();
+            };
+            makeRequest([{event_id: 'a'}, {event_id: 'b'}]);
+
+            globalOptions.transport = function(options) {
+                options.onError(new Error('nope'));
+            };
+            makeRequest([{event_id: 'c'}, {event_id: 'd'}]);
+
+            var calls = window.triggerEvent.args;
+            assert.equal(calls.length, 4);
+            assert.deepEqual([calls[0][0], calls[0][1].data], ['success', {event_id: 'a'}]);
+            assert.deepEqual([calls[1][0], calls[1][1].data], ['success', {event_id: 'b'}]);
+            assert.deepEqual([calls[2][0], calls[2][1].data], ['failure', {event_id: 'c'}]);
+            assert.deepEqual([calls[3][0], calls[3][1].data], ['failure', {event_id: 'd'}]);
+        });
+    });
+
+    describe('xhrTransport', function() {
+        var xhr, requests;
+
+        beforeEach(function() {
+            requests = [];
+            xhr = sinon.useFakeXMLHttpRequest();
+            xhr.onCreate = function(xhr) {
+                // sinon's fake doesn't advertise CORS support on its own
+                xhr.withCredentials = false;
+                requests.push(xhr);
+            };
+        });
+
+        afterEach(function() {
+            xhr.restore();
+        });
+
+        it('should POST the body to the url', function() {
+            xhrTransport({
+                url: 'http://localhost/?lol',
+                body: '{"foo":"bar"}',
+                onSuccess: function() {},
+                onError: function() {}
+            });
+
+            assert.equal(requests.length, 1);
+            assert.equal(requests[0].method, 'POST');
+            assert.equal(requests[0].url, 'http://localhost/?lol');
+            assert.equal(requests[0].requestBody, '{"foo":"bar"}');
+        });
+
+        it('should report the response status', function() {
+            var onSuccess = this.sinon.spy(),
+                onError = this.sinon.spy(),
+                options = {
+                    url: 'http://localhost/',
+                    body: '{}',
+                    onSuccess: onSuccess,
+                    onError: onError
+                };
+
+            xhrTransport(options);
+            requests[0].respond(200, {}, '');
+            assert.isTrue(onSuccess.calledOnce);
+
+            xhrTransport(options);
+            requests[1].respond(429, {}, '');
+            assert.isTrue(onError.calledOnce);
+            assert.equal(onError.lastCall.args[0].status, 429);
+        });
+    });
+
+    describe('breadcrumbs', function() {
+        afterEach(function() {
+            restoreBuiltIns();
+        });
+
+        it('should attach breadcrumbs to the payload', function() {
+            this.sinon.stub(window, 'isSetup').returns(true);
+            this.sinon.stub(window, 'makeRequest');
+            globalOptions = {};
+
+            send({message: 'lol'});
+            assert.isUndefined(window.makeRequest.lastCall.args[0].breadcrumbs);
+
+            Raven.captureBreadcrumb({message: 'step 1', timestamp: 1});
+            send({message: 'lol'});
+            assert.deepEqual(window.makeRequest.lastCall.args[0].breadcrumbs, {
+                values: [{message: 'step 1', timestamp: 1}]
+            });
+        });
+
+        it('should describe elements as selectors', function() {
+            var form = document.createElement('form'),
+                input = document.createElement('input');
+            form.id = 'login';
+            form.className = 'big  shiny';
+            input.setAttribute('type', 'text');
+            input.setAttribute('name', 'email');
+            input.value = 'secret@example.com';
+            form.appendChild(input);
+            document.body.appendChild(form);
+
+            assert.equal(htmlTreeAsString(input),
+                'body > form#login.big.shiny > input[type="text"][name="email"]');
+
+            document.body.removeChild(form);
+        });
+
+        it('should record clicks', function() {
+            var button = document.createElement('button');
+            button.className = 'save';
+            document.body.appendChild(button);
+
+            handleClickBreadcrumb({target: button});
+            assert.equal(breadcrumbs.length, 1);
+            assert.equal(breadcrumbs[0].category, 'ui.click');
+            assert.equal(breadcrumbs[0].message, 'body > button.save');
+
+            document.body.removeChild(button);
+        });
+
+        it('should record one breadcrumb per burst of typing, without the value', function() {
+            var clock = this.sinon.useFakeTimers(),
+                input = document.createElement('input');
+            input.value = 'hunter2';
+
+            handleKeypressBreadcrumb({target: input});
+            handleKeypressBreadcrumb({target: input});
+            clock.tick(500);
+            handleKeypressBreadcrumb({target: input});
+            assert.equal(breadcrumbs.length, 1);
+            assert.deepEqual([breadcrumbs[0].category, breadcrumbs[0].message], ['ui.input', 'input']);
+
+            clock.tick(1000);
+            handleKeypressBreadcrumb({target: input});
+            assert.equal(breadcrumbs.length, 2);
+
+            // Typing on anything but a text field isn't interesting
+            handleKeypressBreadcrumb({target: document.body});
+            assert.equal(breadcrumbs.length, 2);
+        });
+
+        it('should record XMLHttpRequests and their status', function() {
+            var xhr = sinon.useFakeXMLHttpRequest(), request;
+            globalServer = 'http://example.com/api/2/store/';
+            instrumentBreadcrumbs();
+
+            request = new XMLHttpRequest();
+            request.open('GET', '/api/things');
+            request.send();
+            request.respond(404, {}, '');
+
+            request = new XMLHttpRequest();
+            request.open('POST', 'http://example.com/api/2/store/?sentry_key=abc');
+            request.send('{}');
+            request.respond(200, {}, '');
+
+            restoreBuiltIns();
+            xhr.restore();
+
+            assert.equal(breadcrumbs.length, 1);
+            assert.deepEqual([breadcrumbs[0].type, breadcrumbs[0].category], ['http', 'xhr']);
+            assert.deepEqual(breadcrumbs[0].data, {
+                method: 'GET',
+                url: '/api/things',
+                status_code: 404
+            });
+        });
+
+        it('should record XMLHttpRequests that get a handler after send', function() {
+            var xhr = sinon.useFakeXMLHttpRequest(),
+                handler = this.sinon.spy(),
+                request;
+            instrumentBreadcrumbs();
+
+            request = new XMLHttpRequest();
+            request.open('GET', '/api/things');
+            request.send();
+            request.onreadystatechange = handler;
+            request.respond(200, {}, '');
+
+            restoreBuiltIns();
+            xhr.restore();
+
+            assert.isTrue(handler.called);
+            assert.equal(breadcrumbs.length, 1);
+            assert.equal(breadcrumbs[0].data.status_code, 200);
+        });
+
+        it('should record pushState navigations', function() {
+            var original = document.location.href;
+            globalOptions.autoBreadcrumbs = {dom: false, xhr: false, console: false};
+            instrumentBreadcrumbs();
+
+            history.pushState(null, '', '#breadcrumbs');
+            restoreBuiltIns();
+            history.replaceState(null, '', original);
+
+            assert.equal(breadcrumbs.length, 1);
+            assert.deepEqual(breadcrumbs[0].data, {
+                from: original,
+                to: original.split('#')[0] + '#breadcrumbs'
+            });
+        });
+
+        it('should record console calls', function() {
+            var info = this.sinon.stub(console, 'info');
+            globalOptions.autoBreadcrumbs = {dom: false, xhr: false, location: false};
+            instrumentBreadcrumbs();
+
+            console.info('hello', 'world');
+            restoreBuiltIns();
+
+            assert.isTrue(info.calledWith('hello', 'world'));
+            assert.equal(breadcrumbs.length, 1);
+            assert.deepEqual([breadcrumbs[0].category, breadcrumbs[0].level, breadcrumbs[0].message],
+                ['console', 'info', 'hello world']);
+            assert.equal(console.info, info);
+        });
+
+        it('should not instrument anything when disabled', function() {
+            globalOptions.autoBreadcrumbs = false;
+            this.sinon.stub(window, 'isSetup').returns(true);
+            this.sinon.stub(TraceKit.report, 'subscribe');
+            this.sinon.stub(window, 'instrumentBreadcrumbs');
+
+            Raven.install();
+            assert.isFalse(window.instrumentBreadcrumbs.called);
+        });
+    });
+
+    describe('getContexts', function() {
+        it('should collect nothing unless enabled', function() {
+            globalOptions.collectContexts = false;
+            assert.deepEqual(getContexts(), {});
+        });
+
+        it('should collect everything when enabled', function() {
+            globalOptions.collectContexts = true;
+            var contexts = getContexts();
+
+            assert.equal(contexts.device.screen_resolution, screen.width + 'x' + screen.height);
+            assert.equal(contexts.device.online, navigator.onLine);
+            assert.match(contexts.browser.viewport, /^\d+x\d+$/);
+            assert.equal(contexts.culture.locale, navigator.language || navigator.userLanguage);
+            assert.equal(contexts.culture.timezone_offset, -new Date().getTimezoneOffset());
+        });
+
+        it('should let every collector be switched off', function() {
+            globalOptions.collectContexts = {
+                screen: false,
+                devicePixelRatio: false,
+                online: false,
+                connection: false,
+                viewport: false,
+                visibility: false,
+                timezone: false
+            };
+            assert.deepEqual(getContexts(), {
+                culture: {locale: navigator.language || navigator.userLanguage}
+            });
+        });
+
+        it('should be sent along as contexts', function() {
+            this.sinon.stub(window, 'isSetup').returns(true);
+            this.sinon.stub(window, 'makeRequest');
+            this.sinon.stub(window, 'getContexts').returns({
+                device: {online: true},
+                culture: {locale: 'en-US'}
+            });
+            globalOptions = {collectContexts: true};
+
+            send({contexts: {culture: {locale: 'de-DE'}, app: {name: 'lol'}}});
+            assert.deepEqual(window.makeRequest.lastCall.args[0].contexts, {
+                device: {online: true},
+                culture: {locale: 'de-DE'},
+                app: {name: 'lol'}
+            });
+        });
+    });
+
+    describe('sessions', function() {
+        var transport;
+
+        beforeEach(function() {
+            sessionStorage.removeItem(sessionStorageKey);
+            transport = this.sinon.spy();
+            globalOptions.transport = transport;
+            globalOptions.release = 'abc123';
+        });
+
+        afterEach(function() {
+            sessionStorage.removeItem(sessionStorageKey);
+            currentSession = undefined;
+        });
+
+        function lastUpdate(spy) {
+            return spy.lastCall.args[0].data;
+        }
+
+        it('should send an envelope to the envelope endpoint', function() {
+            this.sinon.useFakeTimers(1000);
+            startSession();
+
+            var options = transport.lastCall.args[0];
+            assert.equal(options.url, 'http://example.com:80/api/2/envelope/' + authQueryString);
+            assert.deepEqual(options.body.split('\n'), [
+                '{"sent_at":"1970-01-01T00:00:01.000Z"}',
+                '{"type":"session"}',
+                JSON.stringify(options.data)
+            ]);
+        });
+
+        it('should start a session and remember it', function() {
+            this.sinon.useFakeTimers(1000);
+            startSession();
+
+            assert.deepEqual(lastUpdate(transport), {
+                sid: 'abc123',
+                init: true,
+                started: '1970-01-01T00:00:01.000Z',
+                timestamp: '1970-01-01T00:00:01.000Z',
+                status: 'ok',
+                errors: 0,
+                duration: 0,
+                attrs: {
+                    release: 'abc123',
+                    environment: undefined,
+                    user_agent: navigator.userAgent
+                }
+            });
+            assert.equal(JSON.parse(sessionStorage.getItem(sessionStorageKey)).sid, 'abc123');
+        });
+
+        it('should never send a session over the image transport', function() {
+            this.sinon.stub(window, 'xhrTransport');
+            globalOptions.transport = 'image';
+            startSession();
+            assert.isTrue(window.xhrTransport.calledOnce);
+        });
+
+        it('should end a session left over from a previous page as abnormal', function() {
+            sessionStorage.setItem(sessionStorageKey, JSON.stringify({
+                sid: 'old', started: 0, status: 'ok', errors: 0
+            }));
+            startSession();
+
+            assert.equal(transport.callCount, 2);
+            var previous = transport.firstCall.args[0].data;
+            assert.equal(previous.sid, 'old');
+            assert.equal(previous.status, 'abnormal');
+            assert.isFalse(previous.init);
+            assert.equal(lastUpdate(transport).sid, 'abc123');
+            assert.equal(lastUpdate(transport).status, 'ok');
+        });
+
+        it('should mark the session errored on unhandled errors only', function() {
+            this.sinon.stub(window, 'processException');
+            startSession();
+
+            handleStackInfo({name: 'Error', message: 'crap'}, undefined);
+            assert.equal(transport.callCount, 1);
+
+            handleStackInfo({name: 'Error', message: 'crap', isWindowError: true});
+            assert.equal(transport.callCount, 2);
+            assert.equal(lastUpdate(transport).status, 'errored');
+            assert.equal(lastUpdate(transport).errors, 1);
+            assert.isFalse(lastUpdate(transport).init);
+            assert.equal(JSON.parse(sessionStorage.getItem(sessionStorageKey)).status, 'errored');
+        });
+
+        it('should only send an update when the session goes errored', function() {
+            this.sinon.stub(window, 'processException');
+            this.sinon.stub(window, 'send');
+            startSession();
+
+            handleStackInfo({name: 'Error', message: 'crap', isWindowError: true});
+            handleStackInfo({name: 'Error', message: 'crap', isWindowError: true});
+            handleUnhandledRejection({reason: 'nope'});
+            assert.equal(transport.callCount, 2);
+            assert.equal(currentSession.errors, 3);
+            assert.equal(JSON.parse(sessionStorage.getItem(sessionStorageKey)).errors, 3);
+
+            endSession();
+            assert.equal(lastUpdate(transport).status, 'exited');
+            assert.equal(lastUpdate(transport).errors, 3);
+        });
+
+        it('should start a new session when the page comes back from the cache', function() {
+            startSession();
+            handleSessionUnload();
+            assert.isUndefined(currentSession);
+
+            handleSessionPageShow({persisted: false});
+            assert.isUndefined(currentSession);
+
+            handleSessionPageShow({persisted: true});
+            assert.equal(currentSession.status, 'ok');
+            assert.equal(lastUpdate(transport).status, 'ok');
+            assert.isTrue(lastUpdate(transport).init);
+
+            var sid = currentSession.sid;
+            handleSessionPageShow({persisted: true});
+            assert.equal(currentSession.sid, sid);
+        });
+
+        it('should mark the session errored when a wrapped error reaches window.onerror', function() {
+            var clock = this.sinon.useFakeTimers(),
+                caught = new Error('caught'),
+                uncaught = new Error('uncaught'),
+                onerror = window.onerror;
+            this.sinon.stub(window, 'processException');
+            // Don't let the error through to the test runner
+            window.onerror = null;
+            TraceKit.report.subscribe(handleStackInfo);
+            startSession();
+
+            try {
+                Raven.wrap(function() { throw caught; })();
+            } catch(e) {}
+            clock.tick(2000);
+            assert.equal(window.processException.callCount, 1);
+            assert.equal(currentSession.errors, 0);
+
+            try {
+                Raven.wrap(function() { throw uncaught; })();
+            } catch(e) {
+                window.onerror('Uncaught Error: uncaught', 'http://example.com/file.js', 1, 1, e);
+            }
+            clock.tick(2000);
+            TraceKit.report.uninstall();
+            window.onerror = onerror;
+
+            assert.equal(window.processException.callCount, 2);
+            assert.equal(currentSession.status, 'errored');
+            assert.equal(currentSession.errors, 1);
+        });
+
+        it('should end the session with a beacon when the page goes away', function() {
+            this.sinon.stub(window, 'beaconTransport');
+            this.sinon.stub(Raven.transports, 'xhr');
+            globalOptions.transport = 'xhr';
+            var clock = this.sinon.useFakeTimers(1000);
+            startSession();
+            clock.tick(2500);
+            handleSessionUnload();
+
+            var update = lastUpdate(window.beaconTransport);
+            assert.equal(update.status, 'exited');
+            assert.equal(update.duration, 2.5);
+            assert.isNull(sessionStorage.getItem(sessionStorageKey));
+            assert.isUndefined(currentSession);
+
+            handleSessionUnload();
+            assert.isTrue(window.beaconTransport.calledOnce);
+        });
+
+        it('should tell a custom transport that the page is unloading', function() {
+            startSession();
+            assert.isFalse(transport.lastCall.args[0].unloading);
+
+            handleSessionUnload();
+            assert.isTrue(transport.lastCall.args[0].unloading);
+        });
+
+        it('should end the session on uninstall', function() {
+            startSession();
+            Raven.uninstall();
+
+            assert.equal(lastUpdate(transport).status, 'exited');
+            assert.isFalse(transport.lastCall.args[0].unloading);
+            assert.isNull(sessionStorage.getItem(sessionStorageKey));
+            assert.isUndefined(currentSession);
+        });
+
+        it('should start a session on install when enabled', function() {
+            this.sinon.stub(window, 'isSetup').returns(true);
+            this.sinon.stub(TraceKit.report, 'subscribe');
+            this.sinon.stub(window, 'startSession');
+
+            Raven.install();
+            assert.isFalse(window.startSession.called);
+
+            globalOptions.trackSessions = true;
+            Raven.install();
+            assert.isTrue(window.startSession.calledOnce);
+        });
+    });
+
+    describe('toISOString', function() {
+        it('should do as advertised', function() {
+            assert.equal(toISOString(Date.UTC(2014, 0, 2, 3, 4, 5, 6)), '2014-01-02T03:04:05.006Z');
+        });
+    });
+
+    describe('runEventProcessors', function() {
+        // A promise we can settle by hand, without waiting on the event loop
+        function deferred() {
+            var handlers = [];
+            return {
+                then: function(onResolve, onReject) { handlers.push([onResolve, onReject]); },
+                resolve: function(value) { each(handlers, function(i, h) { h[0](value); }); },
+                reject: function(error) { each(handlers, function(i, h) { h[1](error); }); }
+            };
+        }
+
+        it('should call back right away without processors', function() {
+            var callback = this.sinon.spy();
+            runEventProcessors({a: 1}, callback);
+            assert.deepEqual(callback.lastCall.args, [{a: 1}]);
+        });
+
+        it('should run processors in order', function() {
+            var callback = this.sinon.spy();
+            eventProcessors = [
+                function(data) { return {steps: data.steps.concat(['one'])}; },
+                function(data) { return {steps: data.steps.concat(['two'])}; }
+            ];
+
+            runEventProcessors({steps: []}, callback);
+            assert.deepEqual(callback.lastCall.args, [{steps: ['one', 'two']}]);
+        });
+
+        it('should drop the event when a processor returns null', function() {
+            var callback = this.sinon.spy(),
+                after = this.sinon.spy();
+            eventProcessors = [function() { return null; }, after];
+
+            runEventProcessors({a: 1}, callback);
+            assert.deepEqual(callback.lastCall.args, [null]);
+            assert.isFalse(after.called);
+        });
+
+        it('should keep the event when a processor returns nothing or throws', function() {
+            var callback = this.sinon.spy();
+            eventProcessors = [
+                function(data) { data.a = 2; },
+                function() { throw new Error('lol'); }
+            ];
+
+            runEventProcessors({a: 1}, callback);
+            assert.deepEqual(callback.lastCall.args, [{a: 2}]);
+        });
+
+        it('should wait for promises', function() {
+            var callback = this.sinon.spy(),
+                promise = deferred();
+            eventProcessors = [function() { return promise; }];
+
+            runEventProcessors({a: 1}, callback);
+            assert.isFalse(callback.called);
+
+            promise.resolve({a: 2});
+            assert.deepEqual(callback.lastCall.args, [{a: 2}]);
+
+            promise = deferred();
+            runEventProcessors({a: 1}, callback);
+            promise.resolve(null);
+            assert.deepEqual(callback.lastCall.args, [null]);
+
+            promise = deferred();
+            runEventProcessors({a: 1}, callback);
+            promise.reject(new Error('lol'));
+            assert.deepEqual(callback.lastCall.args, [{a: 1}]);
+        });
+
+        it('should give up on a processor after the timeout', function() {
+            var clock = this.sinon.useFakeTimers(),
+                callback = this.sinon.spy(),
+                promise = deferred();
+            eventProcessors = [function() { return promise; }];
+            globalOptions.eventProcessorTimeout = 500;
+
+            runEventProcessors({a: 1}, callback);
+            clock.tick(499);
+            assert.isFalse(callback.called);
+            clock.tick(1);
+            assert.deepEqual(callback.lastCall.args, [{a: 1}]);
+
+            // Settling late doesn't count
+            promise.resolve({a: 2});
+            assert.equal(callback.callCount, 1);
+        });
+    });
+
+    describe('batching', function() {
+        beforeEach(function() {
+            this.sinon.stub(window, 'isSetup').returns(true);
+            this.sinon.stub(window, 'makeRequest');
+            globalOptions = {
+                batchEvents: true,
+                batchSize: 3,
+                batchDelay: 1000
+            };
+        });
+
+        it('should collect events until the delay is up', function() {
+            var clock = this.sinon.useFakeTimers();
+
+            send({message: '1'});
+            clock.tick(500);
+            send({message: '2'});
+            assert.isFalse(window.makeRequest.called);
+
+            clock.tick(500);
+            assert.isTrue(window.makeRequest.calledOnce);
+
+            var events = window.makeRequest.lastCall.args[0];
+            assert.equal(events.length, 2);
+            assert.equal(events[0].message, '1');
+            assert.equal(events[1].message, '2');
+        });
+
+        it('should send right away once the batch is full', function() {
+            send({message: '1'});
+            send({message: '2'});
+            assert.isFalse(window.makeRequest.called);
+            send({message: '3'});
+            assert.isTrue(window.makeRequest.calledOnce);
+            assert.equal(window.makeRequest.lastCall.args[0].length, 3);
+            assert.deepEqual(batchedEvents, []);
+        });
+
+        it('should honor shouldSendCallback and set lastEventId for every event', function() {
+            var i = 0;
+            this.sinon.stub(window, 'uuid4', function() {
+                return 'id' + (i++);
+            });
+            globalOptions.shouldSendCallback = function(data) {
+                return data.message !== 'nope';
+            };
+
+            send({message: '1'});
+            assert.equal(Raven.lastEventId(), 'id0');
+            send({message: 'nope'});
+            assert.equal(Raven.lastEventId(), 'id0');
+            send({message: '2'});
+            assert.equal(Raven.lastEventId(), 'id2');
+
+            flushBatchedEvents();
+            var events = window.makeRequest.lastCall.args[0];
+            assert.deepEqual([events[0].event_id, events[1].event_id], ['id0', 'id2']);
+        });
+
+        it('should flush when the page goes away', function() {
+            send({message: '1'});
+            handlePageHide();
+            assert.isTrue(window.makeRequest.calledOnce);
+        });
+    });
+
+    describe('flushing on unload', function() {
+        var hadBeacon = 'sendBeacon' in navigator,
+            originalBeacon = navigator.sendBeacon;
+
+        beforeEach(function() {
+            navigator.sendBeacon = this.sinon.stub().returns(true);
+        });
+
+        afterEach(function() {
+            if (hadBeacon) {
+                navigator.sendBeacon = originalBeacon;
+            } else {
+                delete navigator.sendBeacon;
+            }
+        });
+
+        it('should keep track of requests in flight', function() {
+            var request;
+            globalOptions.transport = function(options) {
+                request = options;
+            };
+
+            makeRequest({foo: 'bar'});
+            assert.deepEqual(pendingRequests, [request]);
+            request.onSuccess();
+            assert.deepEqual(pendingRequests, []);
+        });
+
+        it('should resend requests in flight with a beacon on pagehide', function() {
+            var success = this.sinon.stub(window, 'triggerEvent'),
+                request;
+            globalOptions.transport = 'xhr';
+            this.sinon.stub(Raven.transports, 'xhr', function(options) {
+                request = options;
+            });
+
+            makeRequest({foo: 'bar'});
+            handlePageHide();
+            assert.isTrue(navigator.sendBeacon.calledOnce);
+            assert.deepEqual(navigator.sendBeacon.lastCall.args, [request.url, '{"foo":"bar"}']);
+            assert.deepEqual(pendingRequests, []);
+
+            // The original request being cancelled doesn't count anymore
+            request.onError(new Error('aborted'));
+            assert.isTrue(window.triggerEvent.calledOnce);
+            assert.equal(window.triggerEvent.lastCall.args[0], 'success');
+        });
+
+        it('should send new events with a beacon once the page is unloading', function() {
+            var transport = this.sinon.stub(Raven.transports, 'xhr');
+            globalOptions.transport = 'xhr';
+
+            handlePageHide();
+            makeRequest({foo: 'bar'});
+            assert.isFalse(transport.called);
+            assert.isTrue(navigator.sendBeacon.calledOnce);
+        });
+
+        it('should leave custom transports to deal with unloading themselves', function() {
+            var transport = this.sinon.spy();
+            globalOptions.transport = transport;
+
+            makeRequest({foo: 'bar'});
+            handlePageHide();
+            assert.isTrue(transport.calledOnce);
+            assert.isFalse(transport.lastCall.args[0].unloading);
+
+            makeRequest({foo: 'bar'});
+            assert.isTrue(transport.calledTwice);
+            assert.isTrue(transport.lastCall.args[0].unloading);
+            assert.isFalse(navigator.sendBeacon.called);
+        });
+
+        it('should flush batched events and resend requests in flight when the page is hidden', function() {
+            var transport = this.sinon.stub(Raven.transports, 'xhr');
+            globalOptions.transport = 'xhr';
+            this.sinon.stub(window, 'flushBatchedEvents');
+
+            makeRequest({foo: 'bar'});
+            Object.defineProperty(document, 'visibilityState', {value: 'hidden', configurable: true});
+            handleVisibilityChange();
+            delete document.visibilityState;
+
+            assert.isTrue(window.flushBatchedEvents.calledOnce);
+            assert.isTrue(navigator.sendBeacon.calledOnce);
+            assert.deepEqual(pendingRequests, []);
+
+            // The page is still there, so new events go out as usual
+            makeRequest({foo: 'bar'});
+            assert.isTrue(transport.calledTwice);
+            assert.isFalse(transport.lastCall.args[0].unloading);
+            assert.isTrue(navigator.sendBeacon.calledOnce);
+        });
+
+        it('should go back to the usual transport when the page comes back from the cache', function() {
+            var transport = this.sinon.stub(Raven.transports, 'xhr');
+            globalOptions.transport = 'xhr';
+            globalOptions.batchEvents = true;
+
+            handlePageHide();
+            handlePageShow({persisted: true});
+            makeRequest({foo: 'bar'});
+            assert.isTrue(transport.calledOnce);
+            assert.isFalse(navigator.sendBeacon.called);
+
+            this.sinon.stub(window, 'flushBatchedEvents');
+            queueBatchedEvent({foo: 'bar'});
+            assert.isFalse(window.flushBatchedEvents.called);
+        });
+
+        it('should stop listening for the page going away on uninstall', function() {
+            this.sinon.stub(window, 'removeEventHandler');
+
+            Raven.uninstall();
+            assert.isTrue(window.removeEventHandler.calledWith(window, 'pagehide', handlePageHide));
+            assert.isTrue(window.removeEventHandler.calledWith(window, 'pageshow', handlePageShow));
+            assert.isTrue(window.removeEventHandler.calledWith(window, 'pageshow', handleSessionPageShow));
+        });
+
+        it('should not use a beacon when disabled', function() {
+            var transport = this.sinon.stub(Raven.transports, 'xhr');
+            globalOptions.transport = 'xhr';
+            globalOptions.flushOnUnload = false;
+
+            pageUnloading = true;
+            makeRequest({foo: 'bar'});
+            assert.isTrue(transport.calledOnce);
+            assert.isFalse(navigator.sendBeacon.called);
+        });
+
+        it('should fall back to a synchronous XMLHttpRequest', function() {
+            var xhr = sinon.useFakeXMLHttpRequest(), requests = [];
+            xhr.onCreate = function(request) {
+                requests.push(request);
+            };
+            navigator.sendBeacon.returns(false);
+
+            beaconTransport({
+                url: 'http://localhost/?lol',
+                body: '{"foo":"bar"}',
+                onSuccess: function() {},
+                onError: function() {}
+            });
+            xhr.restore();
+
+            assert.equal(requests.length, 1);
+            assert.equal(requests[0].method, 'POST');
+            assert.isFalse(requests[0].async);
+            assert.equal(requests[0].requestBody, '{"foo":"bar"}');
+        });
+
+        it('should listen for the page going away on install', function() {
+            this.sinon.stub(window, 'isSetup').returns(true);
+            this.sinon.stub(TraceKit.report, 'subscribe');
+            this.sinon.stub(window, 'addEventHandler');
+
+            Raven.install();
+            assert.isTrue(window.addEventHandler.calledWith(window, 'pagehide', handlePageHide));
+            assert.isTrue(window.addEventHandler.calledWith(window, 'pageshow', handlePageShow));
+            assert.isTrue(window.addEventHandler.calledWith(document, 'visibilitychange', handleVisibilityChange));
+        });
+    });
+
+    describe('offline queue', function() {
+        beforeEach(function() {
+            localStorage.removeItem(offlineQueueKey);
+            globalOptions.offlineQueue = true;
+        });
+
+        afterEach(function() {
+            localStorage.removeItem(offlineQueueKey);
+        });
+
+        function failingTransport(status) {
+            return function(options) {
+                var error = new Error('nope');
+                error.status = status;
+                options.onError(error);
+            };
+        }
+
+        it('should queue events that failed to send', function() {
+            this.sinon.stub(window, 'scheduleOfflineRetry');
+            globalOptions.transport = failingTransport();
+
+            makeRequest({event_id: 'a'});
+            assert.deepEqual(Raven.getOfflineQueue(), [{event_id: 'a'}]);
+            assert.isTrue(window.scheduleOfflineRetry.calledOnce);
+        });
+
+        it('should not queue anything unless enabled', function() {
+            globalOptions.offlineQueue = false;
+            globalOptions.transport = failingTransport();
+
+            makeRequest({event_id: 'a'});
+            assert.deepEqual(Raven.getOfflineQueue(), []);
+        });
+
+        it('should not queue events that were rejected', function() {
+            this.sinon.stub(window, 'scheduleOfflineRetry');
+            globalOptions.transport = failingTransport(400);
+            makeRequest({event_id: 'a'});
+            assert.deepEqual(Raven.getOfflineQueue(), []);
+
+            globalOptions.transport = failingTransport(429);
+            makeRequest({event_id: 'b'});
+            assert.deepEqual(Raven.getOfflineQueue(), [{event_id: 'b'}]);
+        });
+
+        it('should cap the queue and only keep the newest events', function() {
+            this.sinon.stub(window, 'scheduleOfflineRetry');
+            globalOptions.transport = failingTransport();
+            globalOptions.offlineQueueSize = 2;
+
+            makeRequest({event_id: 'a'});
+            makeRequest({event_id: 'b'});
+            makeRequest({event_id: 'c'});
+            makeRequest({event_id: 'b'});
+            assert.deepEqual(Raven.getOfflineQueue(), [{event_id: 'c'}, {event_id: 'b'}]);
+        });
+
+        it('should drop events older than the TTL', function() {
+            var now = new Date().getTime();
+            localStorage.setItem(offlineQueueKey, JSON.stringify([
+                {data: {event_id: 'old'}, ts: now - 2000},
+                {data: {event_id: 'new'}, ts: now}
+            ]));
+            globalOptions.offlineQueueTTL = 1000;
+
+            assert.deepEqual(Raven.getOfflineQueue(), [{event_id: 'new'}]);
+        });
+
+        it('should survive garbage in localStorage', function() {
+            localStorage.setItem(offlineQueueKey, '{lol');
+            assert.deepEqual(Raven.getOfflineQueue(), []);
+        });
+
+        it('should resend queued events on flush', function() {
+            var sent = [];
+            localStorage.setItem(offlineQueueKey, JSON.stringify([
+                {data: {event_id: 'a'}, ts: new Date().getTime()}
+            ]));
+            globalOptions.transport = function(options) {
+                sent.push(options.data);
+                options.onSuccess();
+            };
+
+            assert.equal(Raven.flushOfflineQueue(), Raven);
+            assert.deepEqual(sent, [{event_id: 'a'}]);
+            assert.deepEqual(Raven.getOfflineQueue(), []);
+        });
+
+        it('should retry with an exponential backoff', function() {
+            var clock = this.sinon.useFakeTimers(),
+                transport = this.sinon.spy(failingTransport());
+            globalOptions.transport = transport;
+
+            makeRequest({event_id: 'a'});
+            assert.equal(transport.callCount, 1);
+
+            clock.tick(999);
+            assert.equal(transport.callCount, 1);
+            clock.tick(1);
+            assert.equal(transport.callCount, 2);
+
+            clock.tick(1999);
+            assert.equal(transport.callCount, 2);
+            clock.tick(1);
+            assert.equal(transport.callCount, 3);
+
+            clock.tick(4000);
+            assert.equal(transport.callCount, 4);
+
+            Raven.uninstall();
+        });
+
+        it('should flush and listen for connectivity on install', function() {
+            this.sinon.stub(window, 'isSetup').returns(true);
+            this.sinon.stub(window, 'flushOfflineQueue');
+            this.sinon.stub(TraceKit.report, 'subscribe');
+            this.sinon.stub(window, 'addEventHandler');
+
+            Raven.install();
+            assert.isTrue(window.flushOfflineQueue.calledOnce);
+            assert.isTrue(window.addEventHandler.calledWith(window, 'online'));
+        });
+    });
+
+    describe('source maps', function() {
+        // example/file.sourcemap.js, mapping example/file.min.js
+        var map = {
+            version: 3,
+            file: 'file.min.js',
+            sources: ['file1.js', 'file2.js'],
+            names: ['add', 'a', 'b', 'multiply', 'divide', 'c', 'e', 'Raven', 'captureException'],
+            mappings: 'AAAA,QAASA,KAAIC,EAAGC,GACf,YACA,OAAOD,GAAIC,ECFZ,QAASC,UAASF,EAAGC,GACpB,YACA,OAAOD,GAAIC,EAEZ,QAASE,QAAOH,EAAGC,GAClB,YACA,KACC,MAAOC,UAASH,IAAIC,EAAGC,GAAID,EAAGC,GAAKG,EAClC,MAAOC,GACRC,MAAMC,iBAAiBF'
+        };
+
+        describe('decodeVLQ', function() {
+            it('should decode base64 VLQ values', function() {
+                assert.deepEqual(decodeVLQ('AAAA'), [0, 0, 0, 0]);
+                assert.deepEqual(decodeVLQ('CDgBhB'), [1, -1, 16, -16]);
+            });
+        });
+
+        describe('decodeMappings', function() {
+            it('should make values absolute', function() {
+                assert.deepEqual(decodeMappings('AAAA,EAAEA;AACA,E'), [
+                    [[0, 0, 0, 0, -1], [2, 0, 0, 2, 0]],
+                    [[0, 0, 1, 2, -1]]
+                ]);
+            });
+        });
+
+        describe('lookupSourceMap', function() {
+            it('should find the original position', function() {
+                var parsed = parseSourceMap(map, 'http://example.com/js/file.min.js');
+
+                assert.deepEqual(lookupSourceMap(parsed, 1, 144), {
+                    source: 'http://example.com/js/file2.js',
+                    line: 8,
+                    column: 19,
+                    name: 'add',
+                    content: undefined
+                });
+                assert.deepEqual(lookupSourceMap(parsed, 1, 32), {
+                    source: 'http://example.com/js/file1.js',
+                    line: 3,
+                    column: 2,
+                    name: undefined,
+                    content: undefined
+                });
+                assert.isNull(lookupSourceMap(parsed, 5, 1));
+            });
+        });
+
+        describe('resolveUrl', function() {
+            it('should do as advertised', function() {
+                var base = 'http://example.com/js/app/file.js?v=1';
+                assert.equal(resolveUrl('map.js', base), 'http://example.com/js/app/map.js');
+                assert.equal(resolveUrl('../src/a.js', base), 'http://example.com/js/src/a.js');
+                assert.equal(resolveUrl('./../../../../a.js', base), 'http://example.com/a.js');
+                assert.equal(resolveUrl('/a.js', base), 'http://example.com/a.js');
+                assert.equal(resolveUrl('webpack:///a.js', base), 'webpack:///a.js');
+                assert.equal(resolveUrl('//cdn.example.com/a.js', base), '//cdn.example.com/a.js');
+            });
+        });
+
+        describe('parseSourceMap', function() {
+            it('should honor sourceRoot and strip the XSSI guard', function() {
+                var parsed = parseSourceMap(")]}'\n" + JSON.stringify({
+                    sources: ['a.js'],
+                    sourceRoot: '/src',
+                    sourcesContent: ['var a;'],
+                    mappings: 'AAAA'
+                }), 'http://example.com/js/app.js.map');
+
+                assert.deepEqual(parsed.sources, ['http://example.com/src/a.js']);
+                assert.deepEqual(parsed.sourcesContent, ['var a;']);
+            });
+
+            it('should ignore what is not a source map', function() {
+                assert.isNull(parseSourceMap({sections: []}, 'http://example.com/'));
+            });
+        });
+
+        describe('getSourceMap', function() {
+            it('should follow sourceMappingURL comments', function() {
+                var getSource = this.sinon.stub(TraceKit.computeStackTrace, 'getSource');
+                getSource.withArgs('http://example.com/file.min.js').returns([
+                    'function add(a,b){"use strict";return a+b}',
+                    '//@ sourceMappingURL=file.sourcemap.js'
+                ]);
+                getSource.withArgs('http://example.com/file.sourcemap.js').returns([JSON.stringify(map)]);
+
+                globalOptions.sourceMaps = true;
+                var parsed = getSourceMap('http://example.com/file.min.js');
+                assert.deepEqual(parsed.sources, ['http://example.com/file1.js', 'http://example.com/file2.js']);
+
+                // Only ever parsed once
+                assert.equal(getSourceMap('http://example.com/file.min.js'), parsed);
+            });
+
+            it('should read inline maps', function() {
+                this.sinon.stub(TraceKit.computeStackTrace, 'getSource').returns([
+                    'var a;',
+                    '//# sourceMappingURL=data:application/json;base64,' + window.btoa(JSON.stringify(map))
+                ]);
+
+                globalOptions.sourceMaps = true;
+                assert.deepEqual(getSourceMap('http://example.com/file.min.js').names, map.names);
+            });
+
+            it('should only look for maps when enabled', function() {
+                this.sinon.stub(TraceKit.computeStackTrace, 'getSource').returns(['var a;']);
+
+                assert.isNull(getSourceMap('http://example.com/file.min.js'));
+                assert.isFalse(TraceKit.computeStackTrace.getSource.called);
+
+                globalOptions.sourceMaps = true;
+                assert.isNull(getSourceMap('http://example.com/file.min.js'));
+                assert.isTrue(TraceKit.computeStackTrace.getSource.called);
+            });
+
+            it('should try again once the source is in', function() {
+                var getSource = this.sinon.stub(TraceKit.computeStackTrace, 'getSource').returns([]);
+
+                globalOptions.sourceMaps = true;
+                assert.isNull(getSourceMap('http://example.com/file.min.js'));
+                assert.isFalse(hasKey(sourceMaps, 'http://example.com/file.min.js'));
+
+                getSource.returns(['var a;']);
+                assert.isNull(getSourceMap('http://example.com/file.min.js'));
+                assert.isTrue(hasKey(sourceMaps, 'http://example.com/file.min.js'));
+            });
+        });
+
+        describe('resolveSourceMaps', function() {
+            it('should map frames back to the original sources', function() {
+                Raven.addSourceMap('http://example.com/file.min.js', map);
+
+                var frames = [
+                    {filename: 'http://example.com/file.min.js', lineno: 1, colno: 32, 'function': 'add', context_line: 'minified'},
+                    {filename: 'http://example.com/file.min.js', lineno: 1, colno: 144, 'function': 'divide'},
+                    {filename: 'http://example.com/other.js', lineno: 10, colno: 1, 'function': 'foo'}
+                ];
+
+                assert.deepEqual(resolveSourceMaps(frames), [
+                    {filename: 'http://example.com/file1.js', lineno: 3, colno: 2, 'function': 'add'},
+                    {filename: 'http://example.com/file2.js', lineno: 8, colno: 19, 'function': 'divide'},
+                    {filename: 'http://example.com/other.js', lineno: 10, colno: 1, 'function': 'foo'}
+                ]);
+                assert.equal(frames[0].context_line, 'minified');
+            });
+
+            it('should take the function name from the caller', function() {
+                Raven.addSourceMap('http://example.com/file.min.js', map);
+
+                var frames = resolveSourceMaps([
+                    {filename: 'http://example.com/file.min.js', lineno: 1, colno: 32, 'function': 'a'},
+                    {filename: 'http://example.com/file.min.js', lineno: 1, colno: 144, 'function': 'b'}
+                ]);
+                assert.equal(frames[0]['function'], 'add');
+                assert.equal(frames[1]['function'], 'b');
+            });
+
+            it('should add context from sourcesContent', function() {
+                globalOptions.fetchContext = true;
+                Raven.addSourceMap('http://example.com/app.js', {
+                    sources: ['app.src.js'],
+                    sourcesContent: ['1\n2\n3\n4\n5\n6\n7\n8'],
+                    mappings: ';;;;AAIA'
+                });
+
+                var frames = resolveSourceMaps([{filename: 'http://example.com/app.js', lineno: 5, colno: 1}]);
+                assert.deepEqual(frames[0], {
+                    filename: 'http://example.com/app.src.js',
+                    lineno: 5,
+                    colno: 1,
+                    pre_context: ['2', '3', '4'],
+                    context_line: '5',
+                    post_context: ['6', '7', '8']
+                });
+            });
+        });
+    });
+
+    describe('fetching sources', function() {
+        var fakeXHR, requests, remoteFetching, urlCount = 0;
+
+        // TraceKit's cache outlives every test, so never reuse a url
+        function sourceUrl() {
+            return 'http://' + document.domain + '/source' + (urlCount++) + '.js';
+        }
+
+        beforeEach(function() {
+            remoteFetching = TraceKit.remoteFetching;
+            TraceKit.remoteFetching = true;
+            requests = [];
+            fakeXHR = sinon.useFakeXMLHttpRequest();
+            fakeXHR.onCreate = function(xhr) {
+                requests.push(xhr);
+            };
+        });
+
+        afterEach(function() {
+            TraceKit.remoteFetching = remoteFetching;
+            fakeXHR.restore();
+        });
+
+        it('should fetch in the background, once per url', function() {
+            var url = sourceUrl(),
+                callback = this.sinon.spy();
+
+            TraceKit.computeStackTrace.fetchSource(url, callback);
+            TraceKit.computeStackTrace.fetchSource(url, callback);
+            assert.equal(requests.length, 1);
+            assert.isTrue(requests[0].async);
+            assert.isFalse(callback.called);
+            assert.deepEqual(TraceKit.computeStackTrace.getSource(url), []);
+
+            requests[0].respond(200, {}, 'var a;\nvar b;');
+            assert.equal(callback.callCount, 2);
+            assert.deepEqual(callback.lastCall.args, [['var a;', 'var b;']]);
+            assert.deepEqual(TraceKit.computeStackTrace.getSource(url), ['var a;', 'var b;']);
+
+            TraceKit.computeStackTrace.fetchSource(url, callback);
+            assert.equal(callback.callCount, 3);
+            assert.equal(requests.length, 1);
+        });
+
+        it('should not leave a breadcrumb for its own requests', function() {
+            var callback = this.sinon.spy();
+            instrumentBreadcrumbs();
+
+            TraceKit.computeStackTrace.fetchSource(sourceUrl(), callback);
+            requests[0].respond(200, {}, 'var a;');
+            restoreBuiltIns();
+
+            assert.isTrue(callback.calledOnce);
+            assert.deepEqual(breadcrumbs, []);
+        });
+
+        it('should not fetch unless remoteFetching is on', function() {
+            var callback = this.sinon.spy();
+            TraceKit.remoteFetching = false;
+
+            TraceKit.computeStackTrace.fetchSource(sourceUrl(), callback);
+            assert.equal(requests.length, 0);
+            assert.deepEqual(callback.lastCall.args, [[]]);
+        });
+
+        it('should give up after the timeout', function() {
+            var clock = this.sinon.useFakeTimers(),
+                callback = this.sinon.spy(),
+                timeout = TraceKit.remoteFetchTimeout;
+
+            TraceKit.remoteFetchTimeout = 100;
+            TraceKit.computeStackTrace.fetchSources([sourceUrl(), sourceUrl()], callback);
+            TraceKit.remoteFetchTimeout = timeout;
+
+            requests[0].respond(200, {}, 'var a;');
+            assert.isFalse(callback.called);
+            clock.tick(100);
+            assert.isTrue(callback.calledOnce);
+
+            requests[1].respond(200, {}, 'var b;');
+            assert.isTrue(callback.calledOnce);
+        });
+
+        it('should fill in function names and context once the sources are in', function() {
+            var url = sourceUrl(),
+                callback = this.sinon.spy(),
+                stackInfo = {stack: [{url: url, line: 3, func: '?', context: null}]};
+
+            TraceKit.computeStackTrace.augmentStackTraceWithSources(stackInfo, callback);
+            assert.isFalse(callback.called);
+
+            requests[0].respond(200, {}, 'var foo = function() {\n    var a;\n    throw new Error();\n};');
+            assert.deepEqual(callback.lastCall.args, [stackInfo]);
+            assert.equal(stackInfo.stack[0].func, 'foo');
+            assert.equal(stackInfo.stack[0].context.length, 4);
+        });
+
+        it('should hold back the event until the sources are in', function() {
+            var callback;
+            this.sinon.stub(window, 'processException');
+            this.sinon.stub(TraceKit.computeStackTrace, 'augmentStackTraceWithSources', function(stackInfo, cb) {
+                callback = cb;
+            });
+
+            handleStackInfo({name: 'Error', message: 'crap', stack: []}, {});
+            assert.isFalse(window.processException.called);
+
+            callback();
+            assert.isTrue(window.processException.calledOnce);
+        });
+    });
+
+    describe('buildStacktrace', function() {
+        function frame(lineno, func) {
+            return {filename: 'http://example.com/file.js', lineno: lineno, colno: 1, 'function': func || 'f' + lineno};
+        }
+
+        it('should order frames oldest to newest', function() {
+            var frames = [frame(3), frame(2), frame(1)];
+            assert.deepEqual(buildStacktrace(frames), {frames: [frame(1), frame(2), frame(3)]});
+            assert.deepEqual(frames, [frame(3), frame(2), frame(1)]);
+        });
+
+        it('should collapse repeating frames', function() {
+            var recursing = frame(5, 'recurse'),
+                frames = [frame(9), recursing, recursing, frame(5, 'recurse'), frame(2), frame(5, 'recurse')];
+
+            var expected = objectMerge({}, recursing);
+            expected.repeated = 3;
+            assert.deepEqual(buildStacktrace(frames).frames, [frame(5, 'recurse'), frame(2), expected, frame(9)]);
+            assert.isUndefined(recursing.repeated);
+        });
+
+        it('should keep both ends of the stack within maxFrames', function() {
+            var frames = [], stacktrace, i;
+            for (i = 100; i > 0; i--) frames.push(frame(i));
+
+            stacktrace = buildStacktrace(frames);
+            assert.equal(stacktrace.frames.length, 50);
+            assert.equal(stacktrace.frames[0].lineno, 1);
+            assert.equal(stacktrace.frames[24].lineno, 25);
+            assert.equal(stacktrace.frames[25].lineno, 76);
+            assert.equal(stacktrace.frames[49].lineno, 100);
+            assert.deepEqual(stacktrace.frames_omitted, [25, 75]);
+
+            globalOptions.maxFrames = 5;
+            stacktrace = buildStacktrace(frames);
+            assert.deepEqual([stacktrace.frames[0].lineno, stacktrace.frames[1].lineno, stacktrace.frames[2].lineno], [1, 2, 98]);
+            assert.deepEqual(stacktrace.frames_omitted, [2, 97]);
+        });
+
+        it('should collapse recursion before counting frames', function() {
+            var frames = [frame(3)], i;
+            for (i = 0; i < 1000; i++) frames.push(frame(2, 'recurse'));
+            frames.push(frame(1));
+
+            var stacktrace = buildStacktrace(frames);
+            assert.equal(stacktrace.frames.length, 3);
+            assert.equal(stacktrace.frames[1].repeated, 1000);
+            assert.isUndefined(stacktrace.frames_omitted);
+        });
+    });
+
+    describe('getCauses', function() {
+        beforeEach(function() {
+            this.sinon.stub(TraceKit, 'computeStackTrace', function(ex) {
+                return {name: ex.name, message: ex.message, stack: []};
+            });
+        });
+
+        function error(message, cause) {
+            return {name: 'Error', message: message, cause: cause};
+        }
+
+        it('should walk the causes, root first', function() {
+            var causes = getCauses(error('outer', error('middle', error('root'))));
+            assert.deepEqual(causes, [
+                {name: 'Error', message: 'root', stack: []},
+                {name: 'Error', message: 'middle', stack: []}
+            ]);
+        });
+
+        it('should follow causeKeys', function() {
+            globalOptions.causeKeys = ['inner', 'originalError'];
+            var causes = getCauses({message: 'outer', inner: {message: 'a', originalError: {message: 'b'}}});
+            assert.deepEqual(causes, [
+                {name: undefined, message: 'b', stack: []},
+                {name: undefined, message: 'a', stack: []}
+            ]);
+        });
+
+        it('should stop at maxCauseDepth', function() {
+            globalOptions.maxCauseDepth = 1;
+            var causes = getCauses(error('outer', error('middle', error('root'))));
+            assert.deepEqual(causes, [{name: 'Error', message: 'middle', stack: []}]);
+        });
+
+        it('should stop at cycles and anything that is not an object', function() {
+            var outer = error('outer', error('inner'));
+            outer.cause.cause = outer;
+            assert.equal(getCauses(outer).length, 1);
+
+            assert.deepEqual(getCauses(error('outer', 'just a string')), []);
+            assert.deepEqual(getCauses('lol'), []);
+            assert.deepEqual(getCauses(null), []);
+        });
+    });
+
+    describe('processStackInfo', function() {
+        it('should turn causes into exceptions with their own stacktrace', function() {
+            this.sinon.stub(window, 'processException');
+
+            processStackInfo({name: 'Error', message: 'outer', stack: []}, {
+                causes: [
+                    {name: 'TypeError', message: 'root', stack: [
+                        {url: 'http://example.com/b.js', line: 2, func: 'b'},
+                        {url: 'http://example.com/a.js', line: 1, func: 'a'}
+                    ]},
+                    {name: 'Error', message: 'middle', stack: []}
+                ]
+            });
+
+            var causes = window.processException.lastCall.args[5].causes;
+            assert.deepEqual(causes[0].type, 'TypeError');
+            assert.deepEqual(causes[0].value, 'root');
+            assert.equal(causes[0].stacktrace.frames[0].filename, 'http://example.com/a.js');
+            assert.equal(causes[0].stacktrace.frames[1].filename, 'http://example.com/b.js');
+            assert.deepEqual(causes[1], {type: 'Error', value: 'middle'});
+        });
+    });
+
+    describe('handleStackInfo', function() {
+        it('should work as advertised', function() {
+            var frame = {url: 'http://example.com'};
+            this.sinon.stub(window, 'normalizeFrame').returns(frame);
+            this.sinon.stub(window, 'processException');
+
+            var stackInfo = {
+                name: 'Matt',
+                message: 'hey',
+                url: 'http://example.com',
+                lineno: 10,
+                stack: [
+                    frame, frame
+                ]
+            };
+
+            handleStackInfo(stackInfo, {foo: 'bar'});
+            assert.deepEqual(window.processException.lastCall.args, [
+                'Matt', 'hey', 'http://example.com', 10, [frame, frame], {foo: 'bar'}
+            ]);
+        });
+
+        it('should work as advertised #integration', function() {
+            this.sinon.stub(window, 'makeRequest');
+            var stackInfo = {
+                name: 'Error',
+                message: 'crap',
+                url: 'http://example.com',
+                lineno: 10,
+                stack: [
+                    {
+                        url: 'http://example.com/file1.js',
+                        line: 10,
+                        column: 11,
+                        func: 'broken',
+                        context: [
+                            'line1',
+                            'line2',
+                            'line3'
+                        ]
+                    },
+                    {
+                        url: 'http://example.com/file2.js',
+                        line: 12,
+                        column: 13,
+                        func: 'lol',
+                        context: [
+                            'line4',
+                            'line5',
+                            'line6'
+                        ]
+                    }
+                ]
+            };
+
+            handleStackInfo(stackInfo, {foo: 'bar'});
+            assert.isTrue(window.makeRequest.calledOnce);
+            /* This is commented out because chai is broken.
+
+            assert.deepEqual(window.makeRequest.lastCall.args, [{
+                project: '2',
+                logger: 'javascript',
+                platform: 'javascript',
+                request: {
+                    url: window.location.protocol + '//' + window.location.host + window.location.pathname,
+                    querystring: window.location.search.slice(1)
+                },
+                exception: {
+                    type: 'Error',
+                    value: 'crap'
+                },
+                stacktrace: {
+                    frames: [{
+                        filename: 'http://example.com/file1.js',
+                        filename: 'file1.js',
+                        lineno: 10,
+                        colno: 11,
+                        'function': 'broken',
+                        post_context: ['line3'],
+                        context_line: 'line2',
+                        pre_context: ['line1']
+                    }, {
+                        filename: 'http://example.com/file2.js',
+                        filename: 'file2.js',
+                        lineno: 12,
+                        colno: 13,
+                        'function': 'lol',
+                        post_context: ['line6'],
+                        context_line: 'line5',
+                        pre_context: ['line4']
+                    }]
+                },
+                culprit: 'http://example.com',
+                message: 'crap at 10',
+                foo: 'bar'
+            }]);
+            */
+        });
+
+        it('should ignore frames that dont have a url', function() {
+            this.sinon.stub(window, 'normalizeFrame').returns(undefined);
+            this.sinon.stub(window, 'processException');
+
+            var stackInfo = {
+                name: 'Matt',
+                message: 'hey',
+                url: 'http://example.com',
+                lineno: 10,
+                stack: new Array(2)
+            };
+
+            handleStackInfo(stackInfo, {foo: 'bar'});
+            assert.deepEqual(window.processException.lastCall.args, [
+                'Matt', 'hey', 'http://example.com', 10, [], {foo: 'bar'}
+            ]);
+        });
+
+        it('should not shit when there is no stack object from TK', function() {
+            this.sinon.stub(window, 'normalizeFrame').returns(undefined);
+            this.sinon.stub(window, 'processException');
+
+            var stackInfo = {
+                name: 'Matt',
+                message: 'hey',
+                url: 'http://example.com',
+                lineno: 10
+                // stack: new Array(2)
+            };
+
+            handleStackInfo(stackInfo);
+            assert.isFalse(window.normalizeFrame.called);
+            assert.deepEqual(window.processException.lastCall.args, [
+                'Matt', 'hey', 'http://example.com', 10, [], undefined
+            ]);
+        });
+    });
+
+    describe('handleUnhandledRejection', function() {
+        var mechanism = {type: 'onunhandledrejection', handled: false};
+
+        it('should capture Error reasons as exceptions', function() {
+            this.sinon.stub(Raven, 'captureException');
+
+            var error = new TypeError('nope');
+            handleUnhandledRejection({reason: error});
+            assert.deepEqual(Raven.captureException.lastCall.args, [error, {mechanism: mechanism}]);
+        });
+
+        it('should look for the reason in detail', function() {
+            this.sinon.stub(Raven, 'captureException');
+
+            var error = new Error('nope');
+            handleUnhandledRejection({detail: {reason: error}});
+            assert.equal(Raven.captureException.lastCall.args[0], error);
+        });
+
+        it('should serialize anything else', function() {
+            this.sinon.stub(window, 'send');
+
+            handleUnhandledRejection({reason: 'nope'});
+            assert.deepEqual(window.send.lastCall.args, [{
+                exception: {
+                    type: 'UnhandledRejection',
+                    value: 'Non-Error promise rejection captured with value: nope',
+                    mechanism: mechanism
+                },
+                message: 'Non-Error promise rejection captured with value: nope'
+            }]);
+
+            handleUnhandledRejection({reason: {code: 42, handler: function onDone() {}}});
+            assert.equal(window.send.lastCall.args[0].message,
+                'Non-Error promise rejection captured with value: {"code":42,"handler":"[Function: onDone]"}');
+
+            handleUnhandledRejection({reason: undefined});
+            assert.equal(window.send.lastCall.args[0].message,
+                'Non-Error promise rejection captured with value: [undefined]');
+        });
+
+        it('should respect ignoreErrors', function() {
+            this.sinon.stub(window, 'send');
+            globalOptions.ignoreErrors = joinRegExp(['Non-Error promise rejection']);
+
+            handleUnhandledRejection({reason: 'nope'});
+            assert.isFalse(window.send.called);
+        });
+
+        it('should mark the session as errored', function() {
+            this.sinon.stub(window, 'send');
+            this.sinon.stub(window, 'markSessionErrored');
+            currentSession = {status: 'ok'};
+
+            handleUnhandledRejection({reason: 'nope'});
+            assert.isTrue(window.markSessionErrored.calledOnce);
+            currentSession = undefined;
+        });
+    });
+
+    describe('joinRegExp', function() {
+        it('should work as advertised', function() {
             assert.equal(joinRegExp([
                 'a', 'b', 'a.b', /d/, /[0-9]/
             ]).source, 'a|b|a\\.b|d|[0-9]');
@@ -1062,6 +3369,38 @@ describe('Raven (public API)', function() {
             assert.equal(Raven.config(''), Raven);
         });
 
+        describe('release, environment and dist', function() {
+            afterEach(function() {
+                delete window.RavenConfig;
+            });
+
+            it('should prefer the options', function() {
+                window.RavenConfig = {release: 'global'};
+                Raven.config(SENTRY_DSN, {release: 'option'});
+                assert.equal(globalOptions.release, 'option');
+            });
+
+            it('should be detected from the RavenConfig global', function() {
+                window.RavenConfig = {release: 'global', environment: 'staging'};
+                Raven.config(SENTRY_DSN);
+                assert.equal(globalOptions.release, 'global');
+                assert.equal(globalOptions.environment, 'staging');
+                assert.isUndefined(globalOptions.dist);
+            });
+
+            it('should be detected from a meta tag', function() {
+                var meta = document.createElement('meta');
+                meta.setAttribute('name', 'raven-dist');
+                meta.setAttribute('content', '42');
+                document.getElementsByTagName('head')[0].appendChild(meta);
+
+                Raven.config(SENTRY_DSN);
+                meta.parentNode.removeChild(meta);
+
+                assert.equal(globalOptions.dist, '42');
+            });
+        });
+
         describe('whitelistUrls', function() {
             it('should be false if none are passed', function() {
                 Raven.config('//abc@example.com/2');
@@ -1131,6 +3470,20 @@ describe('Raven (public API)', function() {
             assert.isTrue(TraceKit.report.subscribe.calledOnce);
             assert.equal(TraceKit.report.subscribe.lastCall.args[0], handleStackInfo);
         });
+
+        it('should listen for unhandled rejections unless disabled', function() {
+            this.sinon.stub(window, 'isSetup').returns(true);
+            this.sinon.stub(TraceKit.report, 'subscribe');
+            this.sinon.stub(window, 'addEventHandler');
+
+            Raven.install();
+            assert.isTrue(window.addEventHandler.calledWith(window, 'unhandledrejection', handleUnhandledRejection));
+
+            window.addEventHandler.reset();
+            globalOptions.captureUnhandledRejections = false;
+            Raven.install();
+            assert.isFalse(window.addEventHandler.calledWith(window, 'unhandledrejection'));
+        });
     });
 
     describe('.wrap', function() {
@@ -1270,12 +3623,127 @@ describe('Raven (public API)', function() {
         });
     });
 
+    describe('.withScope', function() {
+        it('should return the result of the callback', function() {
+            assert.equal(Raven.withScope(function() { return 'foo'; }), 'foo');
+        });
+
+        it('should apply the scope to everything captured within it', function() {
+            this.sinon.stub(window, 'send');
+            this.sinon.stub(TraceKit, 'report');
+
+            Raven.withScope({tags: {tag1: 'value1'}, level: 'warning'}, function(scope) {
+                scope.extra = {key1: 'value1'};
+                Raven.captureMessage('lol');
+                Raven.captureException(new Error('crap'), {tags: {tag2: 'value2'}});
+            });
+
+            assert.deepEqual(window.send.lastCall.args, [{
+                message: 'lol',
+                tags: {tag1: 'value1'},
+                extra: {key1: 'value1'},
+                level: 'warning'
+            }]);
+            assert.deepEqual(TraceKit.report.lastCall.args[1], {
+                tags: {tag1: 'value1', tag2: 'value2'},
+                extra: {key1: 'value1'},
+                level: 'warning'
+            });
+        });
+
+        it('should compose nested scopes', function() {
+            this.sinon.stub(window, 'send');
+
+            Raven.withScope({tags: {a: 'outer', b: 'outer'}, user: {id: 1}}, function() {
+                Raven.withScope({tags: {b: 'inner'}, level: 'info'}, function() {
+                    Raven.captureMessage('lol', {level: 'error'});
+                });
+                Raven.captureMessage('rofl');
+            });
+
+            assert.deepEqual(window.send.firstCall.args, [{
+                message: 'lol',
+                tags: {a: 'outer', b: 'inner'},
+                user: {id: 1},
+                level: 'error'
+            }]);
+            assert.deepEqual(window.send.lastCall.args, [{
+                message: 'rofl',
+                tags: {a: 'outer', b: 'outer'},
+                user: {id: 1}
+            }]);
+        });
+
+        it('should pop the scope when the callback throws', function() {
+            var error = new Error('crap');
+            assert.throws(function() {
+                Raven.withScope({tags: {a: 'b'}}, function() {
+                    throw error;
+                });
+            }, error);
+            assert.deepEqual(scopeStack, []);
+        });
+
+        it('should pass the scope down to context and later calls of wrapped functions', function() {
+            this.sinon.stub(window, 'send');
+            var wrapped;
+
+            Raven.withScope({tags: {a: 'scope'}}, function() {
+                Raven.context({tags: {b: 'context'}}, function() {
+                    Raven.captureMessage('lol');
+                });
+                wrapped = Raven.wrap(function() {
+                    Raven.captureMessage('rofl');
+                });
+            });
+
+            assert.deepEqual(window.send.lastCall.args[0].tags, {a: 'scope', b: 'context'});
+
+            wrapped();
+            assert.deepEqual(window.send.lastCall.args[0].tags, {a: 'scope'});
+            assert.deepEqual(scopeStack, []);
+
+            Raven.captureMessage('lol');
+            assert.isUndefined(window.send.lastCall.args[0].tags);
+        });
+
+        it('should keep the active scope for functions wrapped beforehand', function() {
+            this.sinon.stub(window, 'send');
+            var wrapped, pre = Raven.wrap(function() {
+                Raven.captureMessage('lol');
+            });
+
+            Raven.withScope({tags: {section: 'checkout'}}, function() {
+                pre();
+            });
+            assert.deepEqual(window.send.lastCall.args[0].tags, {section: 'checkout'});
+
+            Raven.withScope({tags: {a: 'wrapped', b: 'wrapped'}}, function() {
+                wrapped = Raven.wrap(function() {
+                    Raven.captureMessage('rofl');
+                });
+            });
+            Raven.withScope({tags: {a: 'active', c: 'active'}}, function() {
+                wrapped();
+            });
+            assert.deepEqual(window.send.lastCall.args[0].tags, {a: 'wrapped', b: 'wrapped', c: 'active'});
+            assert.deepEqual(scopeStack, []);
+        });
+    });
+
     describe('.uninstall', function() {
         it('should uninstall from TraceKit', function() {
             this.sinon.stub(TraceKit.report, 'uninstall');
             Raven.uninstall();
             assert.isTrue(TraceKit.report.uninstall.calledOnce);
         });
+
+        it('should stop listening for unhandled rejections', function() {
+            this.sinon.stub(TraceKit.report, 'uninstall');
+            this.sinon.stub(window, 'removeEventHandler');
+            Raven.uninstall();
+            assert.isTrue(window.removeEventHandler.calledWith(window, 'unhandledrejection', handleUnhandledRejection));
+        });
     });
 
     describe('.setUser', function() {
@@ -1291,6 +3759,124 @@ describe('Raven (public API)', function() {
         });
     });
 
+    describe('.setTagsContext', function() {
+        it('should merge into the global tags without mutating them', function() {
+            var tags = {tag1: 'value1'};
+            globalOptions.tags = tags;
+
+            assert.equal(Raven.setTagsContext({tag2: 'value2'}), Raven);
+            assert.deepEqual(globalOptions.tags, {tag1: 'value1', tag2: 'value2'});
+            assert.deepEqual(tags, {tag1: 'value1'});
+        });
+    });
+
+    describe('.setExtraContext', function() {
+        it('should merge into the global extra without mutating it', function() {
+            var extra = {key1: 'value1'};
+            globalOptions.extra = extra;
+
+            assert.equal(Raven.setExtraContext({key2: 'value2'}), Raven);
+            assert.deepEqual(globalOptions.extra, {key1: 'value1', key2: 'value2'});
+            assert.deepEqual(extra, {key1: 'value1'});
+        });
+    });
+
+    describe('.getContext', function() {
+        it('should return a copy of the global context', function() {
+            Raven.setTagsContext({tag1: 'value1'});
+            Raven.setExtraContext({key1: 'value1'});
+            Raven.setUser({name: 'Matt'});
+
+            var context = Raven.getContext();
+            assert.deepEqual(context, {
+                tags: {tag1: 'value1'},
+                extra: {key1: 'value1'},
+                user: {name: 'Matt'}
+            });
+
+            context.tags.tag2 = 'value2';
+            context.user.name = 'Bob';
+            assert.deepEqual(globalOptions.tags, {tag1: 'value1'});
+            assert.deepEqual(globalUser, {name: 'Matt'});
+        });
+    });
+
+    describe('.clearContext', function() {
+        it('should clear tags, extra and user', function() {
+            Raven.setTagsContext({tag1: 'value1'});
+            Raven.setExtraContext({key1: 'value1'});
+            Raven.setUser({name: 'Matt'});
+
+            assert.equal(Raven.clearContext(), Raven);
+            assert.deepEqual(Raven.getContext(), {tags: {}, extra: {}, user: undefined});
+        });
+    });
+
+    describe('.normalizeMessage', function() {
+        it('should replace numbers, uuids and urls', function() {
+            assert.equal(Raven.normalizeMessage('Item 48213 not found'), 'Item <number> not found');
+            assert.equal(Raven.normalizeMessage('Took 1.5s, at 0xdeadbeef'), 'Took <number>s, at <number>');
+            assert.equal(Raven.normalizeMessage('No user 0bd2a7e1-6f6c-4d2b-9c39-8d1e6f9b2a11!'), 'No user <uuid>!');
+            assert.equal(Raven.normalizeMessage('GET https://example.com/items/42?page=2 failed'), 'GET <url> failed');
+            assert.equal(Raven.normalizeMessage('md5 of item42'), 'md5 of item42');
+        });
+    });
+
+    describe('.normalizedMessageFingerprint', function() {
+        it('should group by type and normalized message', function() {
+            assert.deepEqual(Raven.normalizedMessageFingerprint({
+                exception: {type: 'TypeError', value: 'Item 48213 not found'},
+                message: 'Item 48213 not found at 10'
+            }), ['TypeError', 'Item <number> not found']);
+            assert.deepEqual(Raven.normalizedMessageFingerprint({message: 'Item 1 not found'}),
+                ['message', 'Item <number> not found']);
+            assert.deepEqual(Raven.normalizedMessageFingerprint({exception: {values: [
+                {type: 'TypeError', value: 'root 1'},
+                {type: 'Error', value: 'Save 2 failed'}
+            ]}}), ['Error', 'Save <number> failed']);
+        });
+    });
+
+    describe('.addSourceMap', function() {
+        it('should parse and register the map', function() {
+            var map = {sources: ['a.js'], mappings: 'AAAA'};
+
+            assert.equal(Raven.addSourceMap('http://example.com/js/app.min.js', JSON.stringify(map)), Raven);
+            assert.deepEqual(sourceMaps['http://example.com/js/app.min.js'].sources, ['http://example.com/js/a.js']);
+
+            Raven.addSourceMap('http://example.com/js/app.min.js', map, 'http://example.com/maps/app.map');
+            assert.deepEqual(sourceMaps['http://example.com/js/app.min.js'].sources, ['http://example.com/maps/a.js']);
+        });
+    });
+
+    describe('.addEventProcessor', function() {
+        it('should add processors in order', function() {
+            function one() {}
+            function two() {}
+
+            assert.equal(Raven.addEventProcessor(one), Raven);
+            Raven.addEventProcessor(two);
+            Raven.addEventProcessor('lol');
+            assert.deepEqual(eventProcessors, [one, two]);
+        });
+    });
+
+    describe('.captureBreadcrumb', function() {
+        it('should timestamp breadcrumbs', function() {
+            var clock = this.sinon.useFakeTimers(1500);
+            assert.equal(Raven.captureBreadcrumb({message: 'lol'}), Raven);
+            assert.deepEqual(breadcrumbs, [{message: 'lol', timestamp: 1.5}]);
+        });
+
+        it('should only keep the most recent breadcrumbs', function() {
+            globalOptions.maxBreadcrumbs = 2;
+            Raven.captureBreadcrumb({message: '1'});
+            Raven.captureBreadcrumb({message: '2'});
+            Raven.captureBreadcrumb({message: '3'});
+            assert.deepEqual([breadcrumbs[0].message, breadcrumbs[1].message], ['2', '3']);
+        });
+    });
+
     describe('.captureMessage', function() {
         it('should work as advertised', function() {
             this.sinon.stub(window, 'send');
@@ -1317,6 +3903,23 @@ describe('Raven (public API)', function() {
             Raven.captureMessage('lol');
             assert.equal(Raven.lastEventId(), 'abc123');
         });
+
+        it('should know lastEventId while a processor is still busy', function() {
+            var resolve;
+            setupRaven();
+            this.sinon.stub(window, 'makeRequest');
+            lastEventId = 'previous';
+            eventProcessors = [function() {
+                return {then: function(onResolve) { resolve = onResolve; }};
+            }];
+
+            Raven.captureMessage('lol');
+            assert.equal(Raven.lastEventId(), 'abc123');
+            assert.isFalse(window.makeRequest.called);
+
+            resolve({message: 'rofl'});
+            assert.equal(window.makeRequest.lastCall.args[0].event_id, 'abc123');
+        });
     });
 
     describe('.captureException', function() {
@@ -1351,6 +3954,20 @@ describe('Raven (public API)', function() {
             }, error);
         });
 
+        it('should pass along the causes', function() {
+            var root = new TypeError('root'),
+                error = new Error('crap');
+            error.cause = root;
+            this.sinon.stub(TraceKit, 'report');
+
+            Raven.captureException(error, {foo: 'bar'});
+            var options = TraceKit.report.lastCall.args[1];
+            assert.equal(options.foo, 'bar');
+            assert.equal(options.causes.length, 1);
+            assert.equal(options.causes[0].name, 'TypeError');
+            assert.equal(options.causes[0].message, 'root');
+        });
+
         it('should capture as a normal message if a string is passed', function() {
             this.sinon.stub(Raven, 'captureMessage');
             this.sinon.stub(TraceKit, 'report');
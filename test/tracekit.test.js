@@ -0,0 +1,207 @@
+describe('TraceKit', function() {
+    describe('computeStackTrace', function() {
+        // Stacks as they come out of real browsers, and the frames we expect
+        // to get out of them as [url, func, line, column]
+        var fixtures = [
+            {
+                name: 'Chrome',
+                stack: [
+                    'TypeError: Cannot read properties of undefined (reading \'foo\')',
+                    '    at bar (http://localhost:8080/file.js:14:15)',
+                    '    at Object.foo [as baz] (http://localhost:8080/file.js:10:3)',
+                    '    at new Widget (http://localhost:8080/file.js:5:9)',
+                    '    at http://localhost:8080/file.js:31:13'
+                ],
+                frames: [
+                    ['http://localhost:8080/file.js', 'bar', 14, 15],
+                    ['http://localhost:8080/file.js', 'Object.foo [as baz]', 10, 3],
+                    ['http://localhost:8080/file.js', 'new Widget', 5, 9],
+                    ['http://localhost:8080/file.js', '?', 31, 13]
+                ]
+            },
+            {
+                name: 'Chrome async frames',
+                stack: [
+                    'Error: failed to load',
+                    '    at fetchData (http://localhost:8080/file.js:3:11)',
+                    '    at async loadData (http://localhost:8080/file.js:20:5)',
+                    '    at async Promise.all (index 0)',
+                    '    at async http://localhost:8080/file.js:40:1'
+                ],
+                frames: [
+                    ['http://localhost:8080/file.js', 'fetchData', 3, 11],
+                    ['http://localhost:8080/file.js', 'loadData', 20, 5],
+                    ['http://localhost:8080/file.js', '?', 40, 1]
+                ]
+            },
+            {
+                name: 'Chrome eval and new Function',
+                stack: [
+                    'Error: oops',
+                    '    at eval (eval at <anonymous> (http://localhost:8080/file.js:42:3), <anonymous>:1:7)',
+                    '    at Object.eval [as run] (eval at compile (http://localhost:8080/file.js:4:9), <anonymous>:2:3)',
+                    '    at eval (eval at build (http://localhost:8080/file.js:8:20), <anonymous>:3:1)'
+                ],
+                frames: [
+                    ['http://localhost:8080/file.js', 'eval', 42, 3],
+                    ['http://localhost:8080/file.js', 'Object.eval [as run]', 4, 9],
+                    ['http://localhost:8080/file.js', 'eval', 8, 20]
+                ]
+            },
+            {
+                name: 'Chrome native code',
+                stack: [
+                    'Error: oops',
+                    '    at http://localhost:8080/file.js:2:9',
+                    '    at Array.forEach (<anonymous>)',
+                    '    at Array.map (native)',
+                    '    at <anonymous>:1:5'
+                ],
+                frames: [
+                    ['http://localhost:8080/file.js', '?', 2, 9],
+                    ['[native code]', 'Array.forEach', null, null],
+                    ['[native code]', 'Array.map', null, null],
+                    ['<anonymous>', '?', 1, 5]
+                ]
+            },
+            {
+                name: 'Chrome blob, webpack and extension urls',
+                stack: [
+                    'Error: oops',
+                    '    at work (blob:http://localhost:8080/0b1c4e5a-2d7e-4b5f-9b1f-3f3a0d7c1e2a:3:9)',
+                    '    at Module.eval (webpack-internal:///./src/index.js:12:9)',
+                    '    at render (webpack:///./src/App.js:5:11)',
+                    '    at chrome-extension://abcdefghijklmnop/content.js:1:100'
+                ],
+                frames: [
+                    ['blob:http://localhost:8080/0b1c4e5a-2d7e-4b5f-9b1f-3f3a0d7c1e2a', 'work', 3, 9],
+                    ['webpack-internal:///./src/index.js', 'Module.eval', 12, 9],
+                    ['webpack:///./src/App.js', 'render', 5, 11],
+                    ['chrome-extension://abcdefghijklmnop/content.js', '?', 1, 100]
+                ]
+            },
+            {
+                name: 'Edge',
+                stack: [
+                    'ReferenceError: foo is not defined',
+                    '    at HTMLButtonElement.onclick (http://localhost:8080/:1:1)',
+                    '    at bar (http://localhost:8080/file.js:14:15)'
+                ],
+                frames: [
+                    ['http://localhost:8080/', 'HTMLButtonElement.onclick', 1, 1],
+                    ['http://localhost:8080/file.js', 'bar', 14, 15]
+                ]
+            },
+            {
+                name: 'Edge Legacy and IE 11',
+                stack: [
+                    'TypeError: Unable to get property \'foo\' of undefined or null reference',
+                    '   at bar (http://localhost:8080/file.js:14:15)',
+                    '   at Anonymous function (http://localhost:8080/file.js:10:3)',
+                    '   at Global code (http://localhost:8080/file.js:31:13)'
+                ],
+                frames: [
+                    ['http://localhost:8080/file.js', 'bar', 14, 15],
+                    ['http://localhost:8080/file.js', 'Anonymous function', 10, 3],
+                    ['http://localhost:8080/file.js', 'Global code', 31, 13]
+                ]
+            },
+            {
+                name: 'Firefox',
+                stack: [
+                    'bar@http://localhost:8080/file.js:14:15',
+                    'foo/<@http://localhost:8080/file.js:10:3',
+                    'Widget@http://localhost:8080/file.js:5:9',
+                    'async*loadData@http://localhost:8080/file.js:20:5',
+                    '@http://localhost:8080/file.js:31:13',
+                    ''
+                ],
+                frames: [
+                    ['http://localhost:8080/file.js', 'bar', 14, 15],
+                    ['http://localhost:8080/file.js', 'foo/<', 10, 3],
+                    ['http://localhost:8080/file.js', 'Widget', 5, 9],
+                    ['http://localhost:8080/file.js', 'loadData', 20, 5],
+                    ['http://localhost:8080/file.js', '?', 31, 13]
+                ]
+            },
+            {
+                name: 'Firefox eval and new Function',
+                stack: [
+                    '@http://localhost:8080/file.js line 42 > eval:1:7',
+                    'run@http://localhost:8080/file.js line 4 > Function:2:3',
+                    'foo@http://localhost:8080/file.js line 2 > eval line 1 > eval:1:1'
+                ],
+                frames: [
+                    ['http://localhost:8080/file.js', '?', 42, null],
+                    ['http://localhost:8080/file.js', 'run', 4, null],
+                    ['http://localhost:8080/file.js', 'foo', 2, null]
+                ]
+            },
+            {
+                name: 'Firefox webpack and extension urls',
+                stack: [
+                    'render@webpack:///./src/App.js?:5:11',
+                    'handler@moz-extension://1234-abcd/content.js:7:3',
+                    'work@blob:http://localhost:8080/0b1c4e5a-2d7e-4b5f-9b1f-3f3a0d7c1e2a:3:9',
+                    'onload@resource://gre/modules/foo.jsm:1:1'
+                ],
+                frames: [
+                    ['webpack:///./src/App.js?', 'render', 5, 11],
+                    ['moz-extension://1234-abcd/content.js', 'handler', 7, 3],
+                    ['blob:http://localhost:8080/0b1c4e5a-2d7e-4b5f-9b1f-3f3a0d7c1e2a', 'work', 3, 9],
+                    ['resource://gre/modules/foo.jsm', 'onload', 1, 1]
+                ]
+            },
+            {
+                name: 'Safari',
+                stack: [
+                    'bar@http://localhost:8080/file.js:14:15',
+                    'forEach@[native code]',
+                    'eval code@',
+                    'module code@http://localhost:8080/file.js:2:1',
+                    'handler@safari-web-extension://ABCD-1234/inject.js:1:20',
+                    'global code@http://localhost:8080/file.js:31:13'
+                ],
+                frames: [
+                    ['http://localhost:8080/file.js', 'bar', 14, 15],
+                    ['[native code]', 'forEach', null, null],
+                    ['http://localhost:8080/file.js', 'module code', 2, 1],
+                    ['safari-web-extension://ABCD-1234/inject.js', 'handler', 1, 20],
+                    ['http://localhost:8080/file.js', 'global code', 31, 13]
+                ]
+            },
+            {
+                name: 'Node',
+                stack: [
+                    'Error: boom',
+                    '    at Object.<anonymous> (/home/user/app/index.js:10:9)',
+                    '    at Module._compile (node:internal/modules/cjs/loader:1105:14)',
+                    '    at process.processTicksAndRejections (node:internal/process/task_queues:96:5)',
+                    '    at C:\\Users\\app\\index.js:3:7'
+                ],
+                frames: [
+                    ['/home/user/app/index.js', 'Object.<anonymous>', 10, 9],
+                    ['node:internal/modules/cjs/loader', 'Module._compile', 1105, 14],
+                    ['node:internal/process/task_queues', 'process.processTicksAndRejections', 96, 5],
+                    ['C:\\Users\\app\\index.js', '?', 3, 7]
+                ]
+            }
+        ];
+
+        each(fixtures, function(i, fixture) {
+            it('should parse stacks from ' + fixture.name, function() {
+                var stackInfo = TraceKit.computeStackTrace({
+                        name: 'Error',
+                        message: 'oops',
+                        stack: fixture.stack.join('\n')
+                    }),
+                    frames = [];
+
+                each(stackInfo.stack, function(j, frame) {
+                    frames.push([frame.url, frame.func, frame.line, frame.column]);
+                });
+                assert.deepEqual(frames, fixture.frames);
+            });
+        });
+    });
+});